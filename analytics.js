@@ -7,6 +7,7 @@
 class YapprAnalytics {
     constructor() {
         this.metricsDB = null;
+        this.llmClient = new LLMClient();
         this.charts = {};
         this.currentRange = 7; // Default to last 7 days
         this.sessions = [];
@@ -227,6 +228,9 @@ class YapprAnalytics {
             // Show loading state
             this.showLoadingState();
             
+            // AI usage is logged per call, so it is shown even without recorded sessions
+            await this.updateUsageSection();
+            
             // Load sessions from IndexedDB
             const allSessions = await this.loadSessionsFromDB();
             
@@ -675,14 +679,12 @@ class YapprAnalytics {
                 throw new Error('No transcription texts found');
             }
 
-            // Get OpenAI API key
-            const openaiKey = await this.getOpenAIKey();
-            if (!openaiKey) {
-                throw new Error('OpenAI API key required for analysis');
+            // Analysis runs on the LLM backend chosen in settings
+            if (!(await this.llmClient.isConfigured())) {
+                throw new Error('An AI API key or server is required for analysis');
             }
 
-            // Call OpenAI API for analysis
-            const analysis = await this.callOpenAIAnalysis(transcriptionTexts, openaiKey);
+            const analysis = await this.callLLMAnalysis(transcriptionTexts);
             
             // Display results
             this.displayAnalysisResults(analysis);
@@ -702,17 +704,7 @@ class YapprAnalytics {
         return sessions.map(s => s.sampleText || 'Sample transcription text').filter(Boolean);
     }
 
-    async getOpenAIKey() {
-        try {
-            const result = await chrome.storage.sync.get('gptApiKey');
-            return result.gptApiKey || '';
-        } catch (error) {
-            console.error('Failed to get OpenAI key:', error);
-            return '';
-        }
-    }
-
-    async callOpenAIAnalysis(texts, apiKey) {
+    async callLLMAnalysis(texts) {
         const prompt = `Analyze these speech patterns from the last 7 days of transcriptions. Focus on:
 1. Clarity of thought - Are ideas expressed concisely?
 2. Verbosity - Any unnecessary repetition or wordiness?  
@@ -724,29 +716,16 @@ Provide 2-3 specific examples of sentences/phrases that could be improved, showi
 Transcriptions:
 ${texts.slice(0, 5).join('\n\n---\n\n')}`;
 
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${apiKey}`
-            },
-            body: JSON.stringify({
-                model: 'gpt-4o-mini',
-                messages: [
-                    { role: 'system', content: 'You are a helpful speech coach providing constructive feedback on casual conversation patterns.' },
-                    { role: 'user', content: prompt }
-                ],
-                max_tokens: 800,
-                temperature: 0.7
-            })
+        const { text } = await this.llmClient.complete({
+            system: 'You are a helpful speech coach providing constructive feedback on casual conversation patterns.',
+            prompt,
+            maxTokens: 800,
+            temperature: 0.7,
+            // The coach has always run on the small model; a configured model still wins
+            defaultModels: { [LLM_BACKENDS.OPENAI]: 'gpt-4o-mini' },
+            usage: { purpose: 'coach' }
         });
-
-        if (!response.ok) {
-            throw new Error(`OpenAI API error: ${response.status} ${response.statusText}`);
-        }
-
-        const data = await response.json();
-        return data.choices[0]?.message?.content || 'No analysis available';
+        return text || 'No analysis available';
     }
 
     displayAnalysisResults(analysis) {
@@ -786,6 +765,76 @@ ${texts.slice(0, 5).join('\n\n---\n\n')}`;
         }
     }
 
+    async updateUsageSection() {
+        const section = document.getElementById('aiUsageSection');
+        if (!section) return;
+        
+        try {
+            const ledger = new UsageLedger();
+            const [allEntries, budgets] = await Promise.all([ledger.getEntries(), ledger.getBudgets()]);
+            if (allEntries.length === 0) {
+                section.style.display = 'none';
+                return;
+            }
+            
+            const summary = ledger.summarize(this.filterSessionsByRange(allEntries, this.currentRange));
+            const formatTotals = totals => {
+                const cost = ledger.formatCost(totals.cost) + (totals.unpriced > 0 ? ` + ${totals.unpriced} unpriced` : '');
+                return `${cost} · ${totals.calls} call${totals.calls === 1 ? '' : 's'}`;
+            };
+            
+            document.getElementById('usageTotalCost').textContent = formatTotals(summary.total);
+            document.getElementById('usageTotalTokens').textContent =
+                `${summary.total.inputTokens.toLocaleString()} / ${summary.total.outputTokens.toLocaleString()}`;
+            document.getElementById('usageTotalAudio').textContent = `${(summary.total.audioSeconds / 60).toFixed(1)} min`;
+            document.getElementById('usageTotalCalls').textContent = summary.total.calls.toLocaleString();
+            
+            // Budgets always cover today and this month, whatever the selected range
+            const spend = ledger.getSpend(allEntries);
+            const formatSpend = (spent, cap) => cap > 0
+                ? `${ledger.formatCost(spent)} of ${ledger.formatCost(cap)} (${Math.round(spent / cap * 100)}%)`
+                : `${ledger.formatCost(spent)} · no cap`;
+            document.getElementById('usageSpendToday').textContent = formatSpend(spend.today, budgets.daily);
+            document.getElementById('usageSpendMonth').textContent = formatSpend(spend.month, budgets.monthly);
+            document.getElementById('usageBudgetMode').textContent = budgets.mode === 'block' ? 'Block calls' : 'Warn';
+            
+            this.renderUsageGroup('usageByProvider', summary.byProvider, formatTotals);
+            this.renderUsageGroup('usageByPurpose', summary.byPurpose, formatTotals);
+            this.renderUsageGroup('usageByPreset', summary.byPreset, formatTotals);
+            this.renderUsageGroup('usageByFolder', summary.byFolder, formatTotals);
+            
+            section.style.display = 'block';
+        } catch (error) {
+            console.error('Error loading AI usage:', error);
+            section.style.display = 'none';
+        }
+    }
+
+    renderUsageGroup(elementId, group, formatTotals) {
+        const container = document.getElementById(elementId);
+        if (!container) return;
+        
+        container.innerHTML = '';
+        const rows = Object.entries(group).sort(([, a], [, b]) => b.cost - a.cost || b.calls - a.calls);
+        if (rows.length === 0) {
+            container.innerHTML = '<div class="stat-item"><div class="stat-label">No calls in this range</div></div>';
+            return;
+        }
+        
+        rows.forEach(([label, totals]) => {
+            const item = document.createElement('div');
+            item.className = 'stat-item';
+            const labelEl = document.createElement('div');
+            labelEl.className = 'stat-label';
+            labelEl.textContent = label;
+            const valueEl = document.createElement('div');
+            valueEl.className = 'stat-value';
+            valueEl.textContent = formatTotals(totals);
+            item.append(labelEl, valueEl);
+            container.appendChild(item);
+        });
+    }
+
     showLoadingState() {
         document.getElementById('loadingState').style.display = 'block';
         document.getElementById('onboardingState').style.display = 'none';
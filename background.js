@@ -3,12 +3,45 @@
 
 const DEBUG = false; // Set to true for development
 
+// Every tab's AI and transcription usage is written to the log from here
+importScripts('usage-ledger.js');
+
 // Constants
 const MESSAGE_TYPES = {
     TOGGLE_RECORDING: 'toggleRecording',
     GET_RECORDING_STATE: 'getRecordingState',
     RECORDING_STATE_CHANGED: 'recordingStateChanged',
     TRANSCRIPTION_COMPLETE: 'transcriptionComplete',
+    
+    // Failed / unsent audio queue
+    QUEUE_AUDIO: 'queueAudio',
+    GET_AUDIO_QUEUE: 'getAudioQueue',
+    GET_QUEUED_AUDIO: 'getQueuedAudio',
+    CLAIM_QUEUED_AUDIO: 'claimQueuedAudio',
+    UPDATE_QUEUED_AUDIO: 'updateQueuedAudio',
+    REMOVE_QUEUED_AUDIO: 'removeQueuedAudio',
+    RETRY_QUEUED_AUDIO: 'retryQueuedAudio',
+    PROCESS_QUEUED_AUDIO: 'processQueuedAudio',
+    CONNECTIVITY_RESTORED: 'connectivityRestored',
+    AUDIO_QUEUE_CHANGED: 'audioQueueChanged',
+    
+    // Saved recordings for playback
+    STORE_RECORDING: 'storeRecording',
+    GET_RECORDING: 'getRecording'
+};
+
+const AUDIO_QUEUE = {
+    DB_NAME: 'YapprAudioQueue',
+    DB_VERSION: 2,
+    STORE_NAME: 'pendingAudio',
+    RECORDINGS_STORE_NAME: 'recordings',
+    STATUS: {
+        PENDING: 'pending',     // Waiting for connectivity, retried automatically
+        FAILED: 'failed',       // Needs a manual retry
+        RETRYING: 'retrying'
+    },
+    STALE_RETRY_MS: 5 * 60 * 1000,     // A retry that never reported back is considered dead
+    AUTO_RETRY_DEBOUNCE_MS: 30 * 1000
 };
 
 const CONFIG = {
@@ -137,6 +170,133 @@ class StorageManager {
 
 const storageManager = new StorageManager();
 
+function blobToDataUrl(blob) {
+    return blob.arrayBuffer().then(buffer => {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        // Build the string in slices to avoid call stack limits on large recordings
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return `data:${blob.type || 'application/octet-stream'};base64,${btoa(binary)}`;
+    });
+}
+
+function dataUrlToBlob(dataUrl) {
+    const [header, base64] = dataUrl.split(',');
+    const mimeType = header.match(/^data:([^;]+)/)?.[1] || 'application/octet-stream';
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: mimeType });
+}
+
+/**
+ * IndexedDB for recorded audio: the failed/unsent queue and opt-in saved recordings.
+ * Lives in the extension origin so popup and history pages see the same data.
+ */
+class AudioDB {
+    constructor() {
+        this.db = null;
+    }
+
+    async init() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(AUDIO_QUEUE.DB_NAME, AUDIO_QUEUE.DB_VERSION);
+            
+            request.onerror = () => {
+                if (DEBUG) console.error('Failed to open audio database:', request.error);
+                reject(request.error);
+            };
+            
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                if (!db.objectStoreNames.contains(AUDIO_QUEUE.STORE_NAME)) {
+                    const store = db.createObjectStore(AUDIO_QUEUE.STORE_NAME, { keyPath: 'id' });
+                    store.createIndex('timestamp', 'timestamp', { unique: false });
+                    store.createIndex('status', 'status', { unique: false });
+                }
+                
+                // Saved recordings (new in v2), keyed by history item id
+                if (!db.objectStoreNames.contains(AUDIO_QUEUE.RECORDINGS_STORE_NAME)) {
+                    db.createObjectStore(AUDIO_QUEUE.RECORDINGS_STORE_NAME, { keyPath: 'id' });
+                }
+            };
+        });
+    }
+
+    async run(storeName, mode, operation) {
+        if (!this.db) await this.init();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], mode);
+            const request = operation(transaction.objectStore(storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async add(item, storeName = AUDIO_QUEUE.STORE_NAME) {
+        return this.run(storeName, 'readwrite', store => store.put(item));
+    }
+
+    async get(id, storeName = AUDIO_QUEUE.STORE_NAME) {
+        return this.run(storeName, 'readonly', store => store.get(id));
+    }
+
+    async getAll() {
+        const items = await this.run(AUDIO_QUEUE.STORE_NAME, 'readonly', store => store.getAll());
+        return items.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    }
+
+    async getAllKeys(storeName) {
+        return this.run(storeName, 'readonly', store => store.getAllKeys());
+    }
+
+    async update(id, changes) {
+        return this.modify(id, item => ({ ...item, ...changes }));
+    }
+
+    /**
+     * Read and write a queued item in one readwrite transaction, so requests
+     * handled in between can't act on the same version
+     * @param {function} change - Gets the stored item; returns the new item, or null to leave it
+     * @returns {Promise<object|null>} - The new item, or null when missing or left as is
+     */
+    async modify(id, change) {
+        if (!this.db) await this.init();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([AUDIO_QUEUE.STORE_NAME], 'readwrite');
+            const store = transaction.objectStore(AUDIO_QUEUE.STORE_NAME);
+            let updated = null;
+            
+            const request = store.get(id);
+            request.onsuccess = () => {
+                updated = request.result ? change(request.result) : null;
+                if (updated) store.put(updated);
+            };
+            transaction.oncomplete = () => resolve(updated);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async remove(id, storeName = AUDIO_QUEUE.STORE_NAME) {
+        return this.run(storeName, 'readwrite', store => store.delete(id));
+    }
+}
+
+const audioDB = new AudioDB();
+const usageLedger = new UsageLedger();
+
 /**
  * Background service worker class
  */
@@ -151,6 +311,7 @@ class YapprBackground {
         this.setupCommandListener();
         this.setupMessageListener();
         this.setupSuspendListener();
+        this.setupHistoryListener();
         if (DEBUG) console.log('✅ Yappr Background Service Worker ready');
     }
 
@@ -162,10 +323,30 @@ class YapprBackground {
                 
                 // Show welcome notification
                 this.showWelcomeNotification();
+            } else if (details.reason === 'update') {
+                await this.migratePresetsToLocal();
             }
         });
     }
 
+    /**
+     * Move the preset library out of sync storage, whose 8KB-per-item quota
+     * can't hold more than a few prompts
+     */
+    async migratePresetsToLocal() {
+        try {
+            const { presets } = await chrome.storage.sync.get(['presets']);
+            if (!presets) return;
+            
+            const local = await chrome.storage.local.get(['presets']);
+            await chrome.storage.local.set({ presets: { ...presets, ...(local.presets || {}) } });
+            await chrome.storage.sync.remove('presets');
+            if (DEBUG) console.log(`📦 Moved ${Object.keys(presets).length} presets to local storage`);
+        } catch (error) {
+            if (DEBUG) console.error('❌ Preset migration failed:', error);
+        }
+    }
+
     setupCommandListener() {
         chrome.commands.onCommand.addListener((command) => {
             if (DEBUG) console.log('🎯 Keyboard command received:', command);
@@ -177,12 +358,214 @@ class YapprBackground {
     }
 
     setupMessageListener() {
-        chrome.runtime.onMessage.addListener(async (message, sender, sendResponse) => {
+        chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             if (DEBUG) console.log('📥 Background received message:', message.type);
             
+            const handler = this.getAudioQueueHandler(message, sender);
+            if (handler) {
+                handler.then(result => sendResponse(result)).catch(error => {
+                    if (DEBUG) console.error('❌ Audio queue request failed:', error);
+                    sendResponse({ success: false, error: error.message });
+                });
+                return true; // Keep message channel open for async response
+            }
             
             // Handle other inter-component communication
-            return true;
+            return false;
+        });
+    }
+
+    /**
+     * Route audio queue, recording and usage log messages; returns null for messages handled elsewhere
+     */
+    getAudioQueueHandler(message, sender) {
+        switch (message.type) {
+            case MESSAGE_TYPES.QUEUE_AUDIO:
+                return this.queueAudio(message.item, message.audioDataUrl);
+            case MESSAGE_TYPES.GET_AUDIO_QUEUE:
+                return this.getAudioQueue();
+            case MESSAGE_TYPES.GET_QUEUED_AUDIO:
+                return this.getQueuedAudio(message.id);
+            case MESSAGE_TYPES.CLAIM_QUEUED_AUDIO:
+                return this.claimQueuedAudio(message.id);
+            case MESSAGE_TYPES.UPDATE_QUEUED_AUDIO:
+                return this.updateQueuedAudio(message.id, message.changes);
+            case MESSAGE_TYPES.REMOVE_QUEUED_AUDIO:
+                return this.removeQueuedAudio(message.id);
+            case MESSAGE_TYPES.RETRY_QUEUED_AUDIO:
+                return this.dispatchQueuedAudio(message.ids);
+            case MESSAGE_TYPES.CONNECTIVITY_RESTORED:
+                return this.retryPendingAudio(sender.tab?.id);
+            case MESSAGE_TYPES.STORE_RECORDING:
+                return this.storeRecording(message.recording, message.audioDataUrl);
+            case MESSAGE_TYPES.GET_RECORDING:
+                return this.getRecording(message.id);
+            case USAGE_CONFIG.MESSAGES.RECORD:
+                return this.recordUsage(message.entry);
+            case USAGE_CONFIG.MESSAGES.UPDATE:
+                return this.updateUsage(message.id, message.changes);
+            default:
+                return null;
+        }
+    }
+
+    async queueAudio(item, audioDataUrl) {
+        await audioDB.add({ ...item, audio: dataUrlToBlob(audioDataUrl) });
+        if (DEBUG) console.log('📥 Queued audio for retry:', item.id, item.status);
+        this.notifyAudioQueueChanged();
+        return { success: true };
+    }
+
+    async getAudioQueue() {
+        const items = await audioDB.getAll();
+        // Pages only need metadata; audio is fetched on demand
+        return {
+            success: true,
+            items: items.map(({ audio, ...meta }) => ({ ...meta, size: audio?.size || 0 }))
+        };
+    }
+
+    async getQueuedAudio(id) {
+        const item = await audioDB.get(id);
+        if (!item) return { success: false, error: 'Recording not found' };
+        const { audio, ...meta } = item;
+        return { success: true, item: meta, audioDataUrl: await blobToDataUrl(audio) };
+    }
+
+    /**
+     * Hand an item to exactly one retrier. Message handlers interleave at every
+     * await, so the check and the claim share one IndexedDB transaction; a tab
+     * racing for the same item then finds it already retrying.
+     */
+    async claimQueuedAudio(id) {
+        let found = false;
+        const claimed = await audioDB.modify(id, item => {
+            found = true;
+            const isActiveRetry = item.status === AUDIO_QUEUE.STATUS.RETRYING &&
+                Date.now() - new Date(item.lastAttemptAt).getTime() < AUDIO_QUEUE.STALE_RETRY_MS;
+            if (isActiveRetry) return null;
+            
+            return {
+                ...item,
+                status: AUDIO_QUEUE.STATUS.RETRYING,
+                attempts: (item.attempts || 0) + 1,
+                lastAttemptAt: new Date().toISOString()
+            };
+        });
+        if (!claimed) {
+            return { success: false, error: found ? 'Already retrying' : 'Recording not found' };
+        }
+        this.notifyAudioQueueChanged();
+        
+        const { audio, ...meta } = claimed;
+        return { success: true, item: meta, audioDataUrl: await blobToDataUrl(audio) };
+    }
+
+    async updateQueuedAudio(id, changes) {
+        await audioDB.update(id, changes);
+        this.notifyAudioQueueChanged();
+        return { success: true };
+    }
+
+    async removeQueuedAudio(id) {
+        await audioDB.remove(id);
+        this.notifyAudioQueueChanged();
+        return { success: true };
+    }
+
+    /**
+     * Transcription code lives in the content script, so retries are handed to
+     * the first web page tab that accepts them (the active tab if possible)
+     */
+    async dispatchQueuedAudio(ids, preferredTabId = null) {
+        if (!ids || ids.length === 0) return { success: true, dispatched: false };
+        
+        const [activeTab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+        const webTabs = await chrome.tabs.query({ url: ['http://*/*', 'https://*/*'] });
+        const candidateIds = [preferredTabId, activeTab?.id, ...webTabs.map(tab => tab.id)]
+            .filter((tabId, index, all) => tabId && all.indexOf(tabId) === index);
+        
+        for (const tabId of candidateIds) {
+            try {
+                const response = await chrome.tabs.sendMessage(tabId, {
+                    type: MESSAGE_TYPES.PROCESS_QUEUED_AUDIO,
+                    ids
+                });
+                if (response?.accepted) {
+                    if (DEBUG) console.log('🔁 Queued audio dispatched to tab:', tabId);
+                    return { success: true, dispatched: true };
+                }
+            } catch (error) {
+                // No content script in this tab (e.g. chrome:// pages); try the next one
+            }
+        }
+        
+        return { success: false, error: 'Open any web page so Yappr can retry the recording' };
+    }
+
+    async retryPendingAudio(preferredTabId) {
+        if (this.lastAutoRetry && Date.now() - this.lastAutoRetry < AUDIO_QUEUE.AUTO_RETRY_DEBOUNCE_MS) {
+            return { success: true, dispatched: false };
+        }
+        this.lastAutoRetry = Date.now();
+        
+        const items = await audioDB.getAll();
+        const pendingIds = items
+            .filter(item => item.status === AUDIO_QUEUE.STATUS.PENDING)
+            .map(item => item.id);
+        
+        if (DEBUG) console.log('🌐 Connectivity restored, retrying pending audio:', pendingIds.length);
+        return this.dispatchQueuedAudio(pendingIds, preferredTabId);
+    }
+
+    async storeRecording(recording, audioDataUrl) {
+        await audioDB.add({ ...recording, audio: dataUrlToBlob(audioDataUrl) }, AUDIO_QUEUE.RECORDINGS_STORE_NAME);
+        if (DEBUG) console.log('💾 Recording saved for playback:', recording.id);
+        return { success: true };
+    }
+
+    async getRecording(id) {
+        const recording = await audioDB.get(id, AUDIO_QUEUE.RECORDINGS_STORE_NAME);
+        if (!recording) return { success: false, error: 'Recording not found' };
+        return { success: true, audioDataUrl: await blobToDataUrl(recording.audio) };
+    }
+
+    async recordUsage(entry) {
+        await usageLedger.addEntry(entry);
+        return { success: true };
+    }
+
+    async updateUsage(id, changes) {
+        await usageLedger.updateEntry(id, changes);
+        return { success: true };
+    }
+
+    /**
+     * Drop saved recordings whose history item was deleted
+     */
+    setupHistoryListener() {
+        chrome.storage.onChanged.addListener(async (changes, areaName) => {
+            if (areaName !== 'local' || !changes[CONFIG.STORAGE_KEYS.HISTORY]) return;
+            
+            try {
+                const history = changes[CONFIG.STORAGE_KEYS.HISTORY].newValue || [];
+                const historyIds = new Set(history.map(item => item.id));
+                const recordingIds = await audioDB.getAllKeys(AUDIO_QUEUE.RECORDINGS_STORE_NAME);
+                
+                for (const id of recordingIds.filter(id => !historyIds.has(id))) {
+                    await audioDB.remove(id, AUDIO_QUEUE.RECORDINGS_STORE_NAME);
+                    if (DEBUG) console.log('🗑️ Removed recording for deleted history item:', id);
+                }
+            } catch (error) {
+                if (DEBUG) console.error('❌ Failed to prune saved recordings:', error);
+            }
+        });
+    }
+
+    notifyAudioQueueChanged() {
+        // Extension pages listening for queue changes refresh their lists
+        chrome.runtime.sendMessage({ type: MESSAGE_TYPES.AUDIO_QUEUE_CHANGED }).catch(() => {
+            // No open popup or history page; nothing to notify
         });
     }
 
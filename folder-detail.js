@@ -12,12 +12,22 @@ const CONFIG = {
     UI: {
         TEXT_TRUNCATE_LENGTH: 300,
         SEARCH_DEBOUNCE_MS: 300
+    },
+    SERVICE_NAMES: {
+        elevenlabs: 'ElevenLabs STT',
+        openai: 'OpenAI Whisper',
+        deepgram: 'Deepgram',
+        local: 'Self-hosted Whisper'
     }
 };
 
 // ===============================================
 // UTILITY FUNCTIONS
 // ===============================================
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
 function truncateText(text, maxLength) {
     return text.length > maxLength ? text.substring(0, maxLength) + '...' : text;
 }
@@ -42,6 +52,36 @@ function formatDateShort(timestamp) {
     });
 }
 
+function getServiceName(item) {
+    return item.serviceName || CONFIG.SERVICE_NAMES[item.service] || item.service || 'Unknown';
+}
+
+function getLanguageName(code) {
+    return LANGUAGES[code] || code.toUpperCase();
+}
+
+function hasSpeakers(item) {
+    return !!(item.diarization && Object.keys(item.diarization.speakers || {}).length > 1);
+}
+
+function getSpeakerName(item, speakerId) {
+    return item.diarization.speakers[speakerId] || 'Unknown speaker';
+}
+
+function formatOffset(seconds = 0) {
+    const minutes = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    return `${minutes}:${secs.toString().padStart(2, '0')}`;
+}
+
+// Speaker-labelled transcript for exports, falling back to the plain text
+function getExportText(item) {
+    if (!hasSpeakers(item)) return item.text;
+    return getSpeakerTurns(item.diarization)
+        .map(segment => `${getSpeakerName(item, segment.speaker)}: ${segment.text}`)
+        .join('\n\n');
+}
+
 function copyToClipboard(text) {
     return navigator.clipboard.writeText(text)
         .then(() => true)
@@ -160,6 +200,12 @@ class StorageManager {
         return await this.set({ [CONFIG.STORAGE_KEYS.HISTORY]: history });
     }
 
+    async updateTranscription(itemId, updates) {
+        const history = await this.getHistory();
+        const updatedHistory = history.map(item => item.id === itemId ? { ...item, ...updates } : item);
+        return await this.setHistory(updatedHistory);
+    }
+
     async deleteTranscription(itemId) {
         const history = await this.getHistory();
         const filteredHistory = history.filter(item => item.id !== itemId);
@@ -192,6 +238,9 @@ class FolderDetailManager {
         this.elements = {};
         this.searchTimeout = null;
         this.exportDropdownOpen = false;
+        this.expandedSpeakerViews = new Set();
+        this.expandedPlayers = new Set();
+        this.recordingUrls = new Map();
     }
 
     async init() {
@@ -249,11 +298,13 @@ class FolderDetailManager {
             searchBox: document.getElementById('searchBox'),
             dateFrom: document.getElementById('dateFrom'),
             dateTo: document.getElementById('dateTo'),
+            languageFilter: document.getElementById('languageFilter'),
             
             // Export and bulk actions
             selectBtn: document.getElementById('selectBtn'),
             exportBtn: document.getElementById('exportBtn'),
             exportDropdown: document.getElementById('exportDropdown'),
+            subtitleGrouping: document.getElementById('subtitleGrouping'),
             selectionInfo: document.getElementById('selectionInfo'),
             bulkActions: document.getElementById('bulkActions'),
             copySelectedBtn: document.getElementById('copySelectedBtn'),
@@ -311,6 +362,7 @@ class FolderDetailManager {
             
             console.log('Filtered transcriptions for this folder:', this.allTranscriptions.length);
             
+            this.updateLanguageFilter();
             this.applyFilters();
         } catch (error) {
             console.error('Error loading folder data:', error);
@@ -352,6 +404,12 @@ class FolderDetailManager {
             this.render();
         });
 
+        // Language filter
+        this.elements.languageFilter.addEventListener('change', () => {
+            this.applyFilters();
+            this.render();
+        });
+
 
         // Selection mode
         this.elements.selectBtn.addEventListener('click', () => {
@@ -396,6 +454,12 @@ class FolderDetailManager {
         this.elements.transcriptionGrid.addEventListener('click', (e) => {
             this.handleTranscriptionClick(e);
         });
+        
+        this.elements.transcriptionGrid.addEventListener('change', (e) => {
+            if (e.target.classList.contains('speaker-name-input')) {
+                this.renameSpeaker(e.target.dataset.id, e.target.dataset.speaker, e.target.value);
+            }
+        });
 
         // Edit folder modal
         this.elements.editFolderForm.addEventListener('submit', (e) => {
@@ -483,13 +547,34 @@ class FolderDetailManager {
             );
         }
         
+        const language = this.elements.languageFilter.value;
+        if (language) {
+            filtered = filtered.filter(item => item.language === language);
+        }
+        
         this.filteredTranscriptions = filtered;
     }
 
+    /**
+     * Offer the languages used in this folder, keeping the current choice
+     */
+    updateLanguageFilter() {
+        const select = this.elements.languageFilter;
+        const selected = select.value;
+        const codes = [...new Set(this.allTranscriptions.map(item => item.language).filter(Boolean))]
+            .sort((a, b) => getLanguageName(a).localeCompare(getLanguageName(b)));
+        
+        select.innerHTML = '';
+        select.add(new Option('All languages', ''));
+        codes.forEach(code => select.add(new Option(getLanguageName(code), code)));
+        select.value = codes.includes(selected) ? selected : '';
+    }
+
     clearFilters() {
         this.elements.searchBox.value = '';
         this.elements.dateFrom.value = '';
         this.elements.dateTo.value = '';
+        this.elements.languageFilter.value = '';
         this.applyFilters();
         this.render();
     }
@@ -541,10 +626,16 @@ class FolderDetailManager {
                                     <div class="transcription-stats">
                                         ${item.wordCount || 'N/A'} words • 
                                         ${item.duration ? Math.round(item.duration) + 's' : 'N/A'} • 
-                                        ${item.service || 'Unknown'} service
+                                        ${getServiceName(item)}${item.language ? ` • ${getLanguageName(item.language)}` : ''}
                                     </div>
                                 </div>
                                 <div class="transcription-actions">
+                                    ${item.hasRecording ? `<button class="action-btn" data-action="play" data-id="${item.id}" title="Play recording">
+                                        <span class="material-icons">play_circle</span>
+                                    </button>` : ''}
+                                    ${hasSpeakers(item) ? `<button class="action-btn" data-action="speakers" data-id="${item.id}" title="Speakers">
+                                        <span class="material-icons">record_voice_over</span>
+                                    </button>` : ''}
                                     <button class="action-btn" data-action="copy" data-id="${item.id}" title="Copy">
                                         <span class="material-icons">content_copy</span>
                                     </button>
@@ -559,11 +650,132 @@ class FolderDetailManager {
                             <div class="transcription-text">
                                 ${truncateText(item.text, CONFIG.UI.TEXT_TRUNCATE_LENGTH)}
                             </div>
+                            ${this.expandedPlayers.has(item.id) ? this.renderPlayer(item) : ''}
+                            ${this.expandedSpeakerViews.has(item.id) ? this.renderSpeakerView(item) : ''}
                         </div>
                     </div>
                 </div>
             `;
         }).join('');
+        
+        this.attachPlayers();
+    }
+
+    renderPlayer(item) {
+        const words = item.diarization?.words || [];
+        const transcript = words.length > 0
+            ? words.map(word => `<span class="timed-word" data-start="${word.start}" data-end="${word.end}">${escapeHtml(word.text)}</span>`).join(' ')
+            : '<span class="player-note">Word timings are not available for this recording.</span>';
+        
+        return `
+            <div class="recording-player" data-id="${item.id}">
+                <audio controls preload="metadata"></audio>
+                <div class="timed-transcript">${transcript}</div>
+            </div>
+        `;
+    }
+
+    togglePlayer(itemId) {
+        if (this.expandedPlayers.has(itemId)) {
+            this.expandedPlayers.delete(itemId);
+        } else {
+            this.expandedPlayers.add(itemId);
+        }
+        this.renderTranscriptions();
+    }
+
+    // Load saved audio into rendered players and highlight the word being spoken
+    async attachPlayers() {
+        const players = this.elements.transcriptionGrid.querySelectorAll('.recording-player');
+        for (const player of players) {
+            const audio = player.querySelector('audio');
+            const words = Array.from(player.querySelectorAll('.timed-word'));
+            
+            audio.addEventListener('timeupdate', () => {
+                const time = audio.currentTime;
+                words.forEach(word => {
+                    const isCurrent = time >= parseFloat(word.dataset.start) && time < parseFloat(word.dataset.end);
+                    word.classList.toggle('current', isCurrent);
+                });
+            });
+            
+            const url = await this.getRecordingUrl(player.dataset.id);
+            if (url) {
+                audio.src = url;
+            } else {
+                player.querySelector('.timed-transcript').insertAdjacentHTML(
+                    'afterbegin',
+                    '<p class="player-note">The recording could not be found.</p>'
+                );
+            }
+        }
+    }
+
+    async getRecordingUrl(itemId) {
+        if (!this.recordingUrls.has(itemId)) {
+            try {
+                const response = await chrome.runtime.sendMessage({ type: 'getRecording', id: itemId });
+                if (!response?.success) return null;
+                this.recordingUrls.set(itemId, response.audioDataUrl);
+            } catch (error) {
+                console.error('Error loading recording:', error);
+                return null;
+            }
+        }
+        return this.recordingUrls.get(itemId);
+    }
+
+    seekRecording(word) {
+        const audio = word.closest('.recording-player')?.querySelector('audio');
+        if (!audio || !audio.src) return;
+        audio.currentTime = parseFloat(word.dataset.start);
+        audio.play();
+    }
+
+    renderSpeakerView(item) {
+        const { speakers } = item.diarization;
+        const nameInputs = Object.entries(speakers).map(([speakerId, name]) => `
+            <input type="text" class="form-input speaker-name-input" data-id="${item.id}" data-speaker="${speakerId}" value="${escapeHtml(name).replace(/"/g, '&quot;')}" title="Rename speaker">
+        `).join('');
+        const turns = getSpeakerTurns(item.diarization).map(segment => `
+            <div class="speaker-turn">
+                <span class="speaker-label">${escapeHtml(getSpeakerName(item, segment.speaker))}</span>
+                <span class="turn-time">${formatOffset(segment.start)}</span>
+                <div>${escapeHtml(segment.text)}</div>
+            </div>
+        `).join('');
+        
+        return `
+            <div class="speaker-view">
+                <div class="speaker-names">${nameInputs}</div>
+                ${turns}
+            </div>
+        `;
+    }
+
+    toggleSpeakerView(itemId) {
+        if (this.expandedSpeakerViews.has(itemId)) {
+            this.expandedSpeakerViews.delete(itemId);
+        } else {
+            this.expandedSpeakerViews.add(itemId);
+        }
+        this.renderTranscriptions();
+    }
+
+    async renameSpeaker(itemId, speakerId, name) {
+        const item = this.allTranscriptions.find(t => t.id === itemId);
+        if (!item || !hasSpeakers(item)) return;
+        
+        const speakerNumber = Object.keys(item.diarization.speakers).indexOf(speakerId) + 1;
+        item.diarization.speakers[speakerId] = name.trim() || `Speaker ${speakerNumber}`;
+        
+        try {
+            await this.storageManager.updateTranscription(itemId, { diarization: item.diarization });
+            showToast('Speaker renamed');
+        } catch (error) {
+            console.error('Error renaming speaker:', error);
+            showToast('Failed to rename speaker', 'error');
+        }
     }
 
     // Helper method to determine if we're showing bulk actions
@@ -627,6 +839,15 @@ class FolderDetailManager {
     }
 
     handleTranscriptionClick(e) {
+        // Typing a speaker name shouldn't select the card
+        if (e.target.classList.contains('speaker-name-input')) return;
+        
+        const word = e.target.closest('.timed-word');
+        if (word) {
+            this.seekRecording(word);
+            return;
+        }
+        
         // Handle selection mode - make entire card clickable
         if (this.isSelectMode) {
             // Don't handle selection if clicking on action buttons
@@ -649,6 +870,12 @@ class FolderDetailManager {
                     case 'delete':
                         this.confirmDeleteTranscription(itemId);
                         break;
+                    case 'speakers':
+                        this.toggleSpeakerView(itemId);
+                        break;
+                    case 'play':
+                        this.togglePlayer(itemId);
+                        break;
                 }
                 return;
             }
@@ -687,6 +914,12 @@ class FolderDetailManager {
             case 'delete':
                 this.confirmDeleteTranscription(itemId);
                 break;
+            case 'speakers':
+                this.toggleSpeakerView(itemId);
+                break;
+            case 'play':
+                this.togglePlayer(itemId);
+                break;
         }
     }
 
@@ -725,7 +958,7 @@ class FolderDetailManager {
     downloadTranscription(item) {
         const date = new Date(item.timestamp).toISOString().split('T')[0];
         const filename = `${this.folder.name}-${date}.txt`;
-        downloadFile(item.text, filename);
+        downloadFile(getExportText(item), filename);
         showToast('Transcription downloaded!');
     }
 
@@ -804,7 +1037,8 @@ class FolderDetailManager {
     handleExport(format) {
         this.closeExportDropdown();
         
-        let dataToExport = format === 'selected' && this.selectedTranscriptions.size > 0
+        const useSelection = format === 'selected' || SUBTITLE_CONFIG.FORMATS.includes(format);
+        let dataToExport = useSelection && this.selectedTranscriptions.size > 0
             ? this.filteredTranscriptions.filter(item => this.selectedTranscriptions.has(item.id))
             : this.filteredTranscriptions;
         
@@ -827,14 +1061,39 @@ class FolderDetailManager {
             case 'json':
                 this.exportAsJSON(dataToExport, `${baseName}.json`);
                 break;
+            case 'srt':
+            case 'vtt':
+                this.exportAsSubtitles(dataToExport, baseName, format);
+                break;
+        }
+    }
+
+    // One subtitle file per recording, since each has its own timeline
+    exportAsSubtitles(data, baseName, format) {
+        const timedItems = data.filter(hasWordTimings);
+        if (timedItems.length === 0) {
+            showToast('None of these transcriptions have word timings', 'error');
+            return;
         }
+        
+        const grouping = this.elements.subtitleGrouping?.value || 'sentence';
+        timedItems.forEach((item, index) => {
+            const cues = buildSubtitleCues(item.diarization, grouping);
+            const content = format === 'srt' ? buildSrt(cues) : buildVtt(cues);
+            const suffix = timedItems.length > 1 ? `-${index + 1}` : '';
+            downloadFile(content, `${baseName}${suffix}.${format}`, format === 'srt' ? 'application/x-subrip' : 'text/vtt');
+        });
+        
+        const skipped = data.length - timedItems.length;
+        showToast(`Exported ${timedItems.length} subtitle ${timedItems.length === 1 ? 'file' : 'files'}` +
+            (skipped > 0 ? ` (${skipped} without word timings skipped)` : ''));
     }
 
     exportAsText(data, filename) {
         const content = data.map(item => {
             const date = formatDate(item.timestamp);
             const stats = `${item.wordCount || 'N/A'} words • ${item.duration ? Math.round(item.duration) + 's' : 'N/A'}`;
-            return `${date} - ${stats}\n${item.text}\n\n${'='.repeat(50)}\n`;
+            return `${date} - ${stats}\n${getExportText(item)}\n\n${'='.repeat(50)}\n`;
         }).join('\n');
         
         downloadFile(content, filename);
@@ -842,13 +1101,14 @@ class FolderDetailManager {
     }
 
     exportAsCSV(data, filename) {
-        const headers = ['Date', 'Text', 'Word Count', 'Duration', 'Service'];
+        const headers = ['Date', 'Text', 'Word Count', 'Duration', 'Service', 'Speaker Transcript'];
         const rows = data.map(item => [
             formatDate(item.timestamp),
             `"${item.text.replace(/"/g, '""')}"`, // Escape quotes
             item.wordCount || 0,
             item.duration || 0,
-            item.service || 'Unknown'
+            `"${getServiceName(item)}"`,
+            hasSpeakers(item) ? `"${getExportText(item).replace(/"/g, '""')}"` : ''
         ]);
         
         const csvContent = [headers.join(','), ...rows.map(row => row.join(','))].join('\n');
@@ -869,7 +1129,16 @@ class FolderDetailManager {
                 timestamp: item.timestamp,
                 wordCount: item.wordCount,
                 duration: item.duration,
-                service: item.service
+                service: item.service,
+                serviceName: getServiceName(item),
+                speakerTurns: hasSpeakers(item)
+                    ? getSpeakerTurns(item.diarization).map(segment => ({
+                        speaker: getSpeakerName(item, segment.speaker),
+                        start: segment.start,
+                        end: segment.end,
+                        text: segment.text
+                    }))
+                    : null
             })),
             exportedAt: new Date().toISOString(),
             totalTranscriptions: data.length
@@ -209,6 +209,8 @@ class StorageManager {
             id: crypto.randomUUID(),
             name: folderData.name,
             activationPhrase: folderData.activationPhrase,
+            sttLanguage: folderData.sttLanguage || '',
+            translation: folderData.translation || null,
             createdAt: new Date().toISOString(),
             transcriptionCount: 0
         };
@@ -327,12 +329,16 @@ class YapprFoldersManager {
             createFolderForm: document.getElementById('createFolderForm'),
             folderName: document.getElementById('folderName'),
             activationPhrase: document.getElementById('activationPhrase'),
+            sttLanguage: document.getElementById('sttLanguage'),
+            translationTarget: document.getElementById('translationTarget'),
             cancelCreateBtn: document.getElementById('cancelCreateBtn'),
             
             editFolderModal: document.getElementById('editFolderModal'),
             editFolderForm: document.getElementById('editFolderForm'),
             editFolderName: document.getElementById('editFolderName'),
             editActivationPhrase: document.getElementById('editActivationPhrase'),
+            editSttLanguage: document.getElementById('editSttLanguage'),
+            editTranslationTarget: document.getElementById('editTranslationTarget'),
             cancelEditBtn: document.getElementById('cancelEditBtn'),
             
             confirmModal: document.getElementById('confirmModal'),
@@ -365,6 +371,14 @@ class YapprFoldersManager {
     setupEventListeners() {
         console.log('🔗 Setting up event listeners...');
         
+        // Language pickers in the create and edit modals
+        [this.elements.sttLanguage, this.elements.editSttLanguage].forEach(select => {
+            if (select) this.addLanguageOptions(select, 'Use default language');
+        });
+        [this.elements.translationTarget, this.elements.editTranslationTarget].forEach(select => {
+            if (select) this.addLanguageOptions(select, "Don't translate");
+        });
+        
         // Search
         if (this.elements.searchBox) {
             this.elements.searchBox.addEventListener('input', (e) => {
@@ -565,7 +579,7 @@ class YapprFoldersManager {
                             <span class="folder-icon material-icons">folder</span>
                             ${folder.name}
                         </div>
-                        <div class="folder-phrase">"${folder.activationPhrase}"</div>
+                        <div class="folder-phrase">"${folder.activationPhrase}"${folder.translation ? ` → ${LANGUAGES[folder.translation.target] || folder.translation.target}` : ''}</div>
                         <div class="folder-stats">
                             ${folder.transcriptionCount} transcription${folder.transcriptionCount !== 1 ? 's' : ''}
                         </div>
@@ -653,6 +667,10 @@ class YapprFoldersManager {
             this.currentEditingFolderId = folderId;
             this.elements.editFolderName.value = folder.name;
             this.elements.editActivationPhrase.value = folder.activationPhrase;
+            if (this.elements.editSttLanguage && this.elements.editTranslationTarget) {
+                this.elements.editSttLanguage.value = folder.sttLanguage ?? folder.translation?.source ?? '';
+                this.elements.editTranslationTarget.value = folder.translation?.target || '';
+            }
             this.elements.editFolderModal.classList.add('visible');
             this.elements.editFolderName.focus();
         } else {
@@ -733,7 +751,9 @@ class YapprFoldersManager {
         }
         
         try {
-            await this.storageManager.createFolder({ name, activationPhrase });
+            const sttLanguage = this.elements.sttLanguage?.value || '';
+            const translation = this.getTranslation(sttLanguage, this.elements.translationTarget);
+            await this.storageManager.createFolder({ name, activationPhrase, sttLanguage, translation });
             await this.loadData();
             this.render();
             this.hideCreateFolderModal();
@@ -778,7 +798,9 @@ class YapprFoldersManager {
         }
         
         try {
-            await this.storageManager.updateFolder(this.currentEditingFolderId, { name, activationPhrase });
+            const sttLanguage = this.elements.editSttLanguage?.value || '';
+            const translation = this.getTranslation(sttLanguage, this.elements.editTranslationTarget);
+            await this.storageManager.updateFolder(this.currentEditingFolderId, { name, activationPhrase, sttLanguage, translation });
             
             // Update folder name in history items
             const history = await this.storageManager.getHistory();
@@ -799,6 +821,20 @@ class YapprFoldersManager {
         }
     }
 
+    addLanguageOptions(select, emptyLabel) {
+        select.add(new Option(emptyLabel, ''));
+        Object.entries(LANGUAGES).forEach(([code, name]) => select.add(new Option(name, code)));
+    }
+
+    /**
+     * The folder's spoken language doubles as the translation source
+     * @returns {object|null} - {source, target}, or null when the folder doesn't translate
+     */
+    getTranslation(sttLanguage, targetSelect) {
+        const target = targetSelect?.value || '';
+        return target ? { source: sttLanguage, target } : null;
+    }
+
     async handleConfirmDelete() {
         if (!this.currentEditingFolderId) return;
         
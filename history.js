@@ -4,6 +4,12 @@ class WhisperHistoryPage {
         this.filteredHistory = [];
         this.selectedIds = new Set();
         this.isSelectMode = false;
+        this.audioQueue = [];
+        this.expandedSpeakerViews = new Set();
+        this.expandedPlayers = new Set();
+        this.expandedPipelineViews = new Set();
+        this.expandedVariantViews = new Set();
+        this.recordingUrls = new Map();
         this.init();
     }
 
@@ -15,6 +21,7 @@ class WhisperHistoryPage {
             loading: document.getElementById('loading'),
             emptyState: document.getElementById('emptyState'),
             searchBox: document.getElementById('searchBox'),
+            languageFilter: document.getElementById('languageFilter'),
             exportBtn: document.getElementById('exportBtn'),
             clearBtn: document.getElementById('clearBtn'),
             selectBtn: document.getElementById('selectBtn'),
@@ -29,6 +36,9 @@ class WhisperHistoryPage {
             modalBody: document.getElementById('modalBody'),
             modalConfirm: document.getElementById('modalConfirm'),
             modalCancel: document.getElementById('modalCancel'),
+            audioQueue: document.getElementById('audioQueue'),
+            audioQueueList: document.getElementById('audioQueueList'),
+            retryAllBtn: document.getElementById('retryAllBtn'),
         };
 
         console.log('Elements found:', Object.keys(this.elements).filter(key => this.elements[key]));
@@ -46,6 +56,7 @@ class WhisperHistoryPage {
         this.bindEventListeners();
         console.log('Rendering...');
         this.render();
+        this.loadAudioQueue();
         console.log('History page initialization complete');
     }
 
@@ -74,6 +85,7 @@ class WhisperHistoryPage {
         
         this.fullHistory = history.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp)); // Most recent first
         this.filteredHistory = [...this.fullHistory];
+        this.updateLanguageFilter();
         
         console.log('loadData: Processed history length:', this.fullHistory.length);
         console.log('loadData: First item:', this.fullHistory[0]);
@@ -88,7 +100,13 @@ class WhisperHistoryPage {
 
     bindEventListeners() {
         this.elements.searchBox.addEventListener('input', (e) => this.handleSearch(e.target.value));
+        this.elements.languageFilter.addEventListener('change', () => this.handleSearch(this.elements.searchBox.value));
         this.elements.grid.addEventListener('click', (e) => this.handleGridClick(e));
+        this.elements.grid.addEventListener('change', (e) => {
+            if (e.target.classList.contains('speaker-name-input')) {
+                this.renameSpeaker(e.target.dataset.id, e.target.dataset.speaker, e.target.value);
+            }
+        });
         
         this.elements.exportBtn.addEventListener('click', () => this.exportAll());
         this.elements.clearBtn.addEventListener('click', () => this.confirmClearAll());
@@ -100,6 +118,15 @@ class WhisperHistoryPage {
         this.elements.assignFolderBtn.addEventListener('click', () => this.showFolderAssignOptions());
         this.elements.deleteSelectedBtn.addEventListener('click', () => this.confirmDeleteSelected());
 
+        // Pending / failed recordings
+        this.elements.audioQueueList.addEventListener('click', (e) => this.handleAudioQueueClick(e));
+        this.elements.retryAllBtn.addEventListener('click', () => this.retryQueuedAudio(this.audioQueue.map(item => item.id)));
+        chrome.runtime.onMessage.addListener((message) => {
+            if (message.type === 'audioQueueChanged') {
+                this.loadAudioQueue();
+            }
+        });
+
         // Modal listeners
         this.elements.modalCancel.addEventListener('click', () => this.closeModal());
         this.elements.modal.addEventListener('click', (e) => {
@@ -126,12 +153,16 @@ class WhisperHistoryPage {
     handleSearch(query) {
         console.log('Search triggered with query:', query);
         const searchTerm = query.trim().toLowerCase();
+        const language = this.elements.languageFilter.value;
+        const languageHistory = language
+            ? this.fullHistory.filter(item => item.language === language)
+            : this.fullHistory;
         
         if (!searchTerm) {
-            this.filteredHistory = [...this.fullHistory];
+            this.filteredHistory = [...languageHistory];
             console.log('Empty search, showing all history:', this.filteredHistory.length);
         } else {
-            this.filteredHistory = this.fullHistory.filter(item => {
+            this.filteredHistory = languageHistory.filter(item => {
                 const date = new Date(item.timestamp).toLocaleString().toLowerCase();
                 const textMatch = item.text && item.text.toLowerCase().includes(searchTerm);
                 const dateMatch = date.includes(searchTerm);
@@ -143,7 +174,38 @@ class WhisperHistoryPage {
         this.render();
     }
 
+    /**
+     * Offer the languages that appear in history, keeping the current choice
+     */
+    updateLanguageFilter() {
+        const select = this.elements.languageFilter;
+        if (!select) return;
+        
+        const selected = select.value;
+        const codes = [...new Set(this.fullHistory.map(item => item.language).filter(Boolean))]
+            .sort((a, b) => this.getLanguageName(a).localeCompare(this.getLanguageName(b)));
+        
+        select.innerHTML = '';
+        select.add(new Option('All languages', ''));
+        codes.forEach(code => select.add(new Option(this.getLanguageName(code), code)));
+        select.value = codes.includes(selected) ? selected : '';
+        select.style.display = codes.length > 0 ? '' : 'none';
+    }
+
+    getLanguageName(code) {
+        return LANGUAGES[code] || code.toUpperCase();
+    }
+
     handleGridClick(e) {
+        // Typing a speaker name shouldn't select the card
+        if (e.target.classList.contains('speaker-name-input')) return;
+
+        const word = e.target.closest('.timed-word');
+        if (word) {
+            this.seekRecording(word);
+            return;
+        }
+
         // Handle selection mode - make entire card clickable
         if (this.isSelectMode) {
             // Don't handle selection if clicking on action buttons
@@ -190,6 +252,18 @@ class WhisperHistoryPage {
             case 'delete':
                 this.confirmDeleteOne(id);
                 break;
+            case 'speakers':
+                this.toggleSpeakerView(id);
+                break;
+            case 'play':
+                this.togglePlayer(id);
+                break;
+            case 'pipeline':
+                this.togglePipelineView(id);
+                break;
+            case 'variants':
+                this.toggleVariantView(id);
+                break;
         }
     }
     
@@ -210,6 +284,7 @@ class WhisperHistoryPage {
                 fragment.appendChild(itemEl);
             });
             this.elements.grid.appendChild(fragment);
+            this.attachPlayers();
         }
 
         // Update selection info
@@ -223,6 +298,7 @@ class WhisperHistoryPage {
         const timeStr = date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
         const duration = item.duration ? `${Math.round(item.duration)}s` : 'N/A';
         const words = item.wordCount ? `${item.wordCount} words` : 'N/A';
+        const service = this.getServiceName(item);
 
         const checkbox = this.isSelectMode ? 
             `<input type="checkbox" class="selection-checkbox" id="checkbox-${item.id}" data-id="${item.id}" ${this.selectedIds.has(item.id) ? 'checked' : ''}>
@@ -238,20 +314,333 @@ class WhisperHistoryPage {
                     <div class="item-header">
                         <div class="item-meta">
                             <div class="date">${dateStr} at ${timeStr}</div>
-                            <div class="stats">${words} &bull; ${duration}</div>
+                            <div class="stats">${words} &bull; ${duration} &bull; ${service}${item.language ? ` &bull; ${this.getLanguageName(item.language)}` : ''}${item.enhancement ? ` &bull; ${this.escapeHtml(item.enhancement.presetName)} v${item.enhancement.presetVersion || 1}` : ''}</div>
                         </div>
                         <div class="item-actions">
+                            ${item.hasRecording ? `<button class="action-btn" data-action="play" data-id="${item.id}" title="Play recording"><span class="material-icons">play_circle</span></button>` : ''}
+                            ${item.pipeline ? `<button class="action-btn" data-action="pipeline" data-id="${item.id}" title="Pipeline steps"><span class="material-icons">account_tree</span></button>` : ''}
+                            ${item.variants ? `<button class="action-btn" data-action="variants" data-id="${item.id}" title="Variants"><span class="material-icons">style</span></button>` : ''}
+                            ${this.hasSpeakers(item) ? `<button class="action-btn" data-action="speakers" data-id="${item.id}" title="Speakers"><span class="material-icons">record_voice_over</span></button>` : ''}
                             <button class="action-btn" data-action="copy" data-id="${item.id}" title="Copy"><span class="material-icons">content_copy</span></button>
                             <button class="action-btn" data-action="download" data-id="${item.id}" title="Download"><span class="material-icons">download</span></button>
                             <button class="action-btn" data-action="delete" data-id="${item.id}" title="Delete"><span class="material-icons">delete</span></button>
                         </div>
                     </div>
                     <p class="item-text">${item.text}</p>
+                    ${this.expandedPlayers.has(item.id) ? this.getPlayerHTML(item) : ''}
+                    ${this.expandedSpeakerViews.has(item.id) ? this.getSpeakerViewHTML(item) : ''}
+                    ${this.expandedPipelineViews.has(item.id) ? this.getPipelineViewHTML(item) : ''}
+                    ${this.expandedVariantViews.has(item.id) ? this.getVariantViewHTML(item) : ''}
                 </div>
             </div>
         `;
     }
 
+    // --- Recording Playback ---
+
+    getPlayerHTML(item) {
+        const words = item.diarization?.words || [];
+        const transcript = words.length > 0
+            ? words.map(word => `<span class="timed-word" data-start="${word.start}" data-end="${word.end}">${this.escapeHtml(word.text)}</span>`).join(' ')
+            : '<span class="player-note">Word timings are not available for this recording.</span>';
+
+        return `
+            <div class="recording-player" data-id="${item.id}">
+                <audio controls preload="metadata"></audio>
+                <div class="timed-transcript">${transcript}</div>
+            </div>
+        `;
+    }
+
+    togglePlayer(id) {
+        if (this.expandedPlayers.has(id)) {
+            this.expandedPlayers.delete(id);
+        } else {
+            this.expandedPlayers.add(id);
+        }
+        this.render();
+    }
+
+    /**
+     * Load audio into rendered players and keep the current word highlighted
+     */
+    async attachPlayers() {
+        const players = this.elements.grid.querySelectorAll('.recording-player');
+        for (const player of players) {
+            const audio = player.querySelector('audio');
+            const words = Array.from(player.querySelectorAll('.timed-word'));
+
+            audio.addEventListener('timeupdate', () => {
+                const time = audio.currentTime;
+                words.forEach(word => {
+                    const isCurrent = time >= parseFloat(word.dataset.start) && time < parseFloat(word.dataset.end);
+                    word.classList.toggle('current', isCurrent);
+                });
+            });
+
+            const url = await this.getRecordingUrl(player.dataset.id);
+            if (url) {
+                audio.src = url;
+            } else {
+                player.querySelector('.timed-transcript').insertAdjacentHTML(
+                    'afterbegin',
+                    '<p class="player-note">The recording could not be found.</p>'
+                );
+            }
+        }
+    }
+
+    async getRecordingUrl(id) {
+        if (!this.recordingUrls.has(id)) {
+            const response = await chrome.runtime.sendMessage({ type: 'getRecording', id });
+            if (!response?.success) return null;
+            this.recordingUrls.set(id, response.audioDataUrl);
+        }
+        return this.recordingUrls.get(id);
+    }
+
+    seekRecording(word) {
+        const audio = word.closest('.recording-player')?.querySelector('audio');
+        if (!audio || !audio.src) return;
+        audio.currentTime = parseFloat(word.dataset.start);
+        audio.play();
+    }
+
+    // --- Speakers ---
+
+    hasSpeakers(item) {
+        return !!(item.diarization && Object.keys(item.diarization.speakers || {}).length > 1);
+    }
+
+    getSpeakerName(item, speakerId) {
+        return item.diarization.speakers[speakerId] || 'Unknown speaker';
+    }
+
+    getSpeakerViewHTML(item) {
+        const { speakers } = item.diarization;
+        const nameInputs = Object.entries(speakers).map(([speakerId, name]) => `
+            <input type="text" class="yappr-input speaker-name-input" data-id="${item.id}" data-speaker="${speakerId}" value="${this.escapeHtml(name).replace(/"/g, '&quot;')}" title="Rename speaker">
+        `).join('');
+        const turns = getSpeakerTurns(item.diarization).map(segment => `
+            <div class="speaker-turn">
+                <span class="speaker-label">${this.escapeHtml(this.getSpeakerName(item, segment.speaker))}</span>
+                <span class="turn-time">${this.formatOffset(segment.start)}</span>
+                <div>${this.escapeHtml(segment.text)}</div>
+            </div>
+        `).join('');
+
+        return `
+            <div class="speaker-view">
+                <div class="speaker-names">${nameInputs}</div>
+                ${turns}
+            </div>
+        `;
+    }
+
+    formatOffset(seconds = 0) {
+        const minutes = Math.floor(seconds / 60);
+        const secs = Math.floor(seconds % 60);
+        return `${minutes}:${secs.toString().padStart(2, '0')}`;
+    }
+
+    toggleSpeakerView(id) {
+        if (this.expandedSpeakerViews.has(id)) {
+            this.expandedSpeakerViews.delete(id);
+        } else {
+            this.expandedSpeakerViews.add(id);
+        }
+        this.render();
+    }
+
+    async renameSpeaker(id, speakerId, name) {
+        const item = this.fullHistory.find(i => i.id === id);
+        if (!item || !this.hasSpeakers(item)) return;
+
+        const speakerNumber = Object.keys(item.diarization.speakers).indexOf(speakerId) + 1;
+        item.diarization.speakers[speakerId] = name.trim() || `Speaker ${speakerNumber}`;
+        await this.saveHistory();
+        this.showToast('Speaker renamed');
+    }
+
+    // --- Pipeline steps ---
+
+    /**
+     * Output of each step of a pipeline preset, up to the step that failed
+     */
+    getPipelineViewHTML(item) {
+        const { presetName, steps = [], failedStep } = item.pipeline;
+        const rows = steps.map((step, index) => `
+            <div class="pipeline-step ${step.error ? 'failed' : ''}">
+                <span class="speaker-label">${index + 1}. ${this.escapeHtml(step.name)}${step.version ? ` v${step.version}` : ''}</span>
+                <span class="turn-time">${step.type === 'local' ? 'built-in' : 'preset'}</span>
+                <div>${step.error ? `Failed: ${this.escapeHtml(step.error)}` : this.escapeHtml(step.output || '')}</div>
+            </div>
+        `).join('');
+        const status = failedStep !== null && failedStep !== undefined
+            ? `Stopped at step ${failedStep + 1}; the original text was inserted.`
+            : `All ${steps.length} steps completed.`;
+
+        return `
+            <div class="speaker-view pipeline-view">
+                <div class="player-note">${this.escapeHtml(presetName || 'Pipeline')} - ${status}</div>
+                ${rows}
+            </div>
+        `;
+    }
+
+    togglePipelineView(id) {
+        if (this.expandedPipelineViews.has(id)) {
+            this.expandedPipelineViews.delete(id);
+        } else {
+            this.expandedPipelineViews.add(id);
+        }
+        this.render();
+    }
+
+    getVariantViewHTML(item) {
+        const { presetName, options = [], chosen } = item.variants;
+        const rows = options.map((option, index) => `
+            <div class="pipeline-step ${index === chosen ? 'chosen' : ''}">
+                <span class="speaker-label">${index + 1}. ${this.escapeHtml(option.label)}</span>
+                <span class="turn-time">${index === chosen ? 'kept' : ''}</span>
+                <div>${this.escapeHtml(option.text)}</div>
+            </div>
+        `).join('');
+        const status = chosen === null || chosen === undefined
+            ? 'None kept; the translated or original text was used.'
+            : `Kept variant ${chosen + 1} of ${options.length}.`;
+
+        return `
+            <div class="speaker-view variant-view">
+                <div class="player-note">${this.escapeHtml(presetName || 'Variants')} - ${status}</div>
+                ${rows}
+            </div>
+        `;
+    }
+
+    toggleVariantView(id) {
+        if (this.expandedVariantViews.has(id)) {
+            this.expandedVariantViews.delete(id);
+        } else {
+            this.expandedVariantViews.add(id);
+        }
+        this.render();
+    }
+
+    escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    /**
+     * Text used for exports: speaker-labelled turns when diarization is available
+     */
+    getExportText(item) {
+        if (!this.hasSpeakers(item)) return item.text;
+        return getSpeakerTurns(item.diarization)
+            .map(segment => `${this.getSpeakerName(item, segment.speaker)}: ${segment.text}`)
+            .join('\n\n');
+    }
+
+    getServiceName(item) {
+        const serviceNames = {
+            elevenlabs: 'ElevenLabs STT',
+            openai: 'OpenAI Whisper',
+            deepgram: 'Deepgram',
+            local: 'Self-hosted Whisper'
+        };
+        return item.serviceName || serviceNames[item.service] || item.service || 'Unknown';
+    }
+
+    // --- Pending / Failed Queue ---
+
+    async loadAudioQueue() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'getAudioQueue' });
+            this.audioQueue = response?.items || [];
+        } catch (error) {
+            console.error('Error loading audio queue:', error);
+            this.audioQueue = [];
+        }
+        this.renderAudioQueue();
+    }
+
+    renderAudioQueue() {
+        this.elements.audioQueue.style.display = this.audioQueue.length > 0 ? 'block' : 'none';
+        this.elements.audioQueueList.innerHTML = this.audioQueue.map(item => this.getQueueItemHTML(item)).join('');
+    }
+
+    getQueueItemHTML(item) {
+        const date = new Date(item.timestamp);
+        const dateStr = date.toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+        const timeStr = date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+        const duration = item.duration ? `${Math.round(item.duration)}s` : 'N/A';
+        const attempts = item.attempts ? ` &bull; ${item.attempts} ${item.attempts === 1 ? 'attempt' : 'attempts'}` : '';
+
+        return `
+            <div class="history-item">
+                <div class="item-header">
+                    <div class="item-meta">
+                        <div class="date">${dateStr} at ${timeStr}</div>
+                        <div class="stats"><span class="queue-status ${item.status}">${item.status}</span> &bull; ${duration} &bull; ${this.getServiceName(item)}${attempts}</div>
+                    </div>
+                    <div class="item-actions">
+                        <button class="action-btn" data-action="retry" data-id="${item.id}" title="Retry" ${item.status === 'retrying' ? 'disabled' : ''}><span class="material-icons">refresh</span></button>
+                        <button class="action-btn" data-action="download" data-id="${item.id}" title="Download audio"><span class="material-icons">download</span></button>
+                        <button class="action-btn" data-action="delete" data-id="${item.id}" title="Delete"><span class="material-icons">delete</span></button>
+                    </div>
+                </div>
+                <p class="item-text">${this.escapeHtml(item.error || '')}</p>
+            </div>
+        `;
+    }
+
+    handleAudioQueueClick(e) {
+        const button = e.target.closest('.action-btn');
+        if (!button) return;
+
+        const id = button.dataset.id;
+        switch (button.dataset.action) {
+            case 'retry':
+                this.retryQueuedAudio([id]);
+                break;
+            case 'download':
+                this.downloadQueuedAudio(id);
+                break;
+            case 'delete':
+                this.openModal(
+                    'Delete Recording?',
+                    'The audio will be permanently deleted and cannot be transcribed later.',
+                    () => chrome.runtime.sendMessage({ type: 'removeQueuedAudio', id })
+                );
+                break;
+        }
+    }
+
+    async retryQueuedAudio(ids) {
+        if (ids.length === 0) return;
+        const response = await chrome.runtime.sendMessage({ type: 'retryQueuedAudio', ids });
+        if (response?.success) {
+            this.showToast(`Retrying ${ids.length} ${ids.length === 1 ? 'recording' : 'recordings'}...`);
+        } else {
+            this.showToast(response?.error || 'Could not retry recordings', 'warning');
+        }
+    }
+
+    async downloadQueuedAudio(id) {
+        const response = await chrome.runtime.sendMessage({ type: 'getQueuedAudio', id });
+        if (!response?.success) {
+            this.showToast(response?.error || 'Recording not found', 'warning');
+            return;
+        }
+
+        const mimeType = response.item.mimeType || '';
+        const extension = mimeType.includes('wav') ? 'wav' : mimeType.includes('ogg') ? 'ogg' : mimeType.includes('mp4') ? 'm4a' : 'webm';
+        const a = document.createElement('a');
+        a.href = response.audioDataUrl;
+        a.download = `yappr-recording-${response.item.timestamp.split('T')[0]}.${extension}`;
+        a.click();
+    }
+
     // --- Actions ---
 
     async copyText(id) {
@@ -265,7 +654,7 @@ class WhisperHistoryPage {
     downloadText(id) {
         const item = this.fullHistory.find(i => i.id === id);
         if (item) {
-            const blob = new Blob([item.text], { type: 'text/plain;charset=utf-8' });
+            const blob = new Blob([this.getExportText(item)], { type: 'text/plain;charset=utf-8' });
             const url = URL.createObjectURL(blob);
             const a = document.createElement('a');
             a.href = url;
@@ -508,11 +897,38 @@ class WhisperHistoryPage {
                         <span class="material-icons">archive</span>
                         Zipped Files
                     </button>
+                    <button class="btn-secondary" id="exportSrt" style="
+                        display: flex;
+                        align-items: center;
+                        gap: 8px;
+                        padding: 12px 16px;
+                        min-width: auto;
+                    ">
+                        <span class="material-icons">subtitles</span>
+                        SRT Subtitles
+                    </button>
+                    <button class="btn-secondary" id="exportVtt" style="
+                        display: flex;
+                        align-items: center;
+                        gap: 8px;
+                        padding: 12px 16px;
+                        min-width: auto;
+                    ">
+                        <span class="material-icons">closed_caption</span>
+                        WebVTT Subtitles
+                    </button>
                     <button class="btn-danger" id="cancelExport" style="
                         padding: 12px 16px;
                         min-width: auto;
                     ">Cancel</button>
                 </div>
+                <div style="margin-top: 16px; color: var(--color-text-secondary); font-size: 14px;">
+                    <label for="subtitleGrouping">Subtitle cues:</label>
+                    <select id="subtitleGrouping" class="yappr-input" style="margin-top: 8px; width: 100%;">
+                        <option value="sentence">One per sentence</option>
+                        <option value="length">Max duration / characters</option>
+                    </select>
+                </div>
             </div>
         `;
 
@@ -529,6 +945,16 @@ class WhisperHistoryPage {
             modal.remove();
         };
 
+        modal.querySelector('#exportSrt').onclick = () => {
+            this.exportSelectedAsSubtitles('srt', modal.querySelector('#subtitleGrouping').value);
+            modal.remove();
+        };
+
+        modal.querySelector('#exportVtt').onclick = () => {
+            this.exportSelectedAsSubtitles('vtt', modal.querySelector('#subtitleGrouping').value);
+            modal.remove();
+        };
+
         modal.querySelector('#cancelExport').onclick = () => {
             modal.remove();
         };
@@ -548,7 +974,7 @@ class WhisperHistoryPage {
             const date = new Date(item.timestamp);
             const dateStr = date.toLocaleDateString();
             const timeStr = date.toLocaleTimeString();
-            return `[${dateStr} ${timeStr}]\n${item.text}`;
+            return `[${dateStr} ${timeStr}]\n${this.getExportText(item)}`;
         }).join('\n\n---\n\n');
 
         const blob = new Blob([content], { type: 'text/plain;charset=utf-8' });
@@ -577,7 +1003,7 @@ class WhisperHistoryPage {
             
             return {
                 name: filename,
-                content: item.text
+                content: this.getExportText(item)
             };
         });
 
@@ -598,6 +1024,36 @@ class WhisperHistoryPage {
         this.showToast(`Exported ${selectedItems.length} transcriptions as archive`);
     }
 
+    // One subtitle file per recording, since each has its own timeline
+    exportSelectedAsSubtitles(format, grouping) {
+        const selectedItems = this.fullHistory.filter(item => this.selectedIds.has(item.id));
+        const timedItems = selectedItems.filter(hasWordTimings);
+        if (timedItems.length === 0) {
+            this.showToast('None of the selected transcriptions have word timings', 'warning');
+            return;
+        }
+
+        timedItems.forEach(item => {
+            const cues = buildSubtitleCues(item.diarization, grouping);
+            const content = format === 'srt' ? buildSrt(cues) : buildVtt(cues);
+            const date = new Date(item.timestamp);
+            const dateStr = date.toISOString().split('T')[0];
+            const timeStr = date.toTimeString().split(' ')[0].replace(/:/g, '-');
+
+            const blob = new Blob([content], { type: `${format === 'srt' ? 'application/x-subrip' : 'text/vtt'};charset=utf-8` });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `transcription_${dateStr}_${timeStr}.${format}`;
+            a.click();
+            URL.revokeObjectURL(url);
+        });
+
+        const skipped = selectedItems.length - timedItems.length;
+        this.showToast(`Exported ${timedItems.length} subtitle ${timedItems.length === 1 ? 'file' : 'files'}` +
+            (skipped > 0 ? ` (${skipped} without word timings skipped)` : ''));
+    }
+
     confirmDeleteSelected() {
         if (this.selectedIds.size === 0) {
             this.showToast('No items selected', 'warning');
@@ -0,0 +1,50 @@
+// Yappr Languages
+// Language list and code normalization shared by the content script and the
+// extension pages.
+// Loaded before content.js and on the popup, settings, history and folder pages.
+
+// Languages for speech recognition and translation mode, set globally or per
+// preset, folder or site rule. The name is what the model is asked to translate into.
+const LANGUAGES = {
+    en: 'English',
+    es: 'Spanish',
+    fr: 'French',
+    de: 'German',
+    it: 'Italian',
+    pt: 'Portuguese',
+    nl: 'Dutch',
+    pl: 'Polish',
+    sv: 'Swedish',
+    tr: 'Turkish',
+    ru: 'Russian',
+    uk: 'Ukrainian',
+    ar: 'Arabic',
+    hi: 'Hindi',
+    zh: 'Chinese (Simplified)',
+    ja: 'Japanese',
+    ko: 'Korean'
+};
+
+// Three-letter codes some STT providers report for the detected language
+const LANGUAGE_ALIASES = {
+    eng: 'en', spa: 'es', fra: 'fr', fre: 'fr', deu: 'de', ger: 'de', ita: 'it',
+    por: 'pt', nld: 'nl', dut: 'nl', pol: 'pl', swe: 'sv', tur: 'tr', rus: 'ru',
+    ukr: 'uk', ara: 'ar', hin: 'hi', zho: 'zh', chi: 'zh', cmn: 'zh', jpn: 'ja', kor: 'ko'
+};
+
+/**
+ * Turn a provider's language value ("en", "eng", "en-US" or "english") into a
+ * two-letter code, or null if it isn't recognised
+ */
+function normalizeLanguageCode(value) {
+    if (typeof value !== 'string' || !value.trim()) return null;
+    const lower = value.trim().toLowerCase();
+    const base = lower.split(/[-_]/)[0];
+    if (base in LANGUAGES) return base;
+    if (base in LANGUAGE_ALIASES) return LANGUAGE_ALIASES[base];
+    if (lower.length > 3) {
+        const byName = Object.keys(LANGUAGES).find(code => LANGUAGES[code].toLowerCase().split(' ')[0] === lower);
+        if (byName) return byName;
+    }
+    return /^[a-z]{2}$/.test(base) ? base : null;
+}
@@ -0,0 +1,386 @@
+// Yappr LLM Client
+// Shared chat-completion client for every AI feature (enhancement presets,
+// transcript cleanup, deep analysis and the analytics speech coach).
+// Loaded after usage-ledger.js, before content.js and on the extension pages that call a model.
+
+const LLM_BACKENDS = {
+    OPENAI: 'openai',
+    ANTHROPIC: 'anthropic',
+    OPENAI_COMPATIBLE: 'openaiCompatible'  // Ollama, llama.cpp, LM Studio, vLLM...
+};
+
+const LLM_CONFIG = {
+    STORAGE_KEYS: {
+        BACKEND: 'llmBackend',
+        MODEL: 'llmModel',
+        BASE_URL: 'llmBaseUrl',
+        OPENAI_API_KEY: 'gptApiKey',
+        ANTHROPIC_API_KEY: 'anthropicApiKey',
+        COMPATIBLE_API_KEY: 'llmApiKey'
+    },
+    OPENAI_BASE_URL: 'https://api.openai.com/v1',
+    ANTHROPIC_BASE_URL: 'https://api.anthropic.com/v1',
+    ANTHROPIC_VERSION: '2023-06-01',
+    DEFAULT_MODELS: {
+        openai: 'gpt-4o',
+        anthropic: 'claude-3-5-haiku-latest',
+        openaiCompatible: 'llama3.1'
+    },
+    BACKEND_LABELS: {
+        openai: 'OpenAI',
+        anthropic: 'Anthropic',
+        openaiCompatible: 'Custom server'
+    },
+    TIMEOUT_MS: 30000,
+    DEFAULT_MAX_TOKENS: 1000
+};
+
+// System prompt of every preset enhancement; the settings page's preset bench
+// sends the same one, so it checks what users actually get
+const ENHANCEMENT_SYSTEM_PROMPT = 'You are a professional writing assistant specialized in transforming speech-to-text transcripts into polished, contextually appropriate communication. Your goals: 1) Preserve the original speaker\'s intent and voice completely, 2) Remove speech artifacts and improve clarity, 3) Follow formatting instructions precisely, 4) Never add information not present in the original transcript, 5) Maintain appropriate tone and formality level for the context. Focus on enhancement, not rewriting.';
+
+class LLMError extends Error {
+    constructor(message, status = null) {
+        super(message);
+        this.name = 'LLMError';
+        this.status = status;
+    }
+}
+
+class LLMClient {
+    /**
+     * @param {object} settings - Optional fixed settings (e.g. unsaved values on the
+     *   settings page). Otherwise they are read from storage on every request.
+     */
+    constructor(settings = null) {
+        this.settings = settings;
+        this.usageLedger = new UsageLedger();
+    }
+
+    async getSettings() {
+        if (this.settings) return this.settings;
+
+        const keys = LLM_CONFIG.STORAGE_KEYS;
+        const stored = await chrome.storage.sync.get(Object.values(keys));
+        const backend = Object.values(LLM_BACKENDS).includes(stored[keys.BACKEND])
+            ? stored[keys.BACKEND]
+            : LLM_BACKENDS.OPENAI;
+
+        const apiKeyByBackend = {
+            [LLM_BACKENDS.OPENAI]: stored[keys.OPENAI_API_KEY],
+            [LLM_BACKENDS.ANTHROPIC]: stored[keys.ANTHROPIC_API_KEY],
+            [LLM_BACKENDS.OPENAI_COMPATIBLE]: stored[keys.COMPATIBLE_API_KEY]
+        };
+
+        return {
+            backend,
+            model: (stored[keys.MODEL] || '').trim(),
+            baseUrl: (stored[keys.BASE_URL] || '').trim(),
+            apiKey: (apiKeyByBackend[backend] || '').trim()
+        };
+    }
+
+    /**
+     * Whether the selected backend has what it needs to make a request
+     */
+    async isConfigured() {
+        const settings = await this.getSettings();
+        if (settings.backend === LLM_BACKENDS.OPENAI_COMPATIBLE) {
+            return !!settings.baseUrl;
+        }
+        return !!settings.apiKey;
+    }
+
+    async getBackendLabel() {
+        const settings = await this.getSettings();
+        return LLM_CONFIG.BACKEND_LABELS[settings.backend];
+    }
+
+    /**
+     * Run a single-turn chat completion
+     * @param {object} request
+     * @param {string} request.prompt - User message
+     * @param {string} [request.system] - System instructions
+     * @param {string} [request.model] - Overrides the configured model (e.g. per preset)
+     * @param {object} [request.defaultModels] - Per-backend models for this call when the user
+     *   hasn't configured one, e.g. {openai: 'gpt-4o-mini'} for a cheaper call site
+     * @param {number} [request.maxTokens]
+     * @param {number} [request.temperature]
+     * @param {object} [request.openAIOptions] - Extra body fields for OpenAI-format backends only
+     * @param {number} [request.timeoutMs] - For streamed requests, the longest wait between chunks
+     * @param {AbortSignal} [request.signal] - Cancels the request ("Request cancelled")
+     * @param {function} [request.onText] - Streams the response; called with the text so far
+     * @param {object} [request.usage] - What the call is for, logged with its tokens:
+     *   {purpose, presetId, presetName, folderId, folderName}
+     * @returns {Promise<{text: string, model: string, backend: string, usage: {inputTokens: number, outputTokens: number}}>}
+     */
+    async complete(request) {
+        const settings = await this.getSettings();
+        const model = (request.model || '').trim() || settings.model ||
+            request.defaultModels?.[settings.backend] || LLM_CONFIG.DEFAULT_MODELS[settings.backend];
+
+        // Throws when a budget cap is reached in block mode
+        await this.usageLedger.checkBudget();
+
+        const controller = new AbortController();
+        const timeoutMs = request.timeoutMs || LLM_CONFIG.TIMEOUT_MS;
+        let timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+        // Streams can run longer than the timeout as long as text keeps arriving
+        const resetTimeout = () => {
+            clearTimeout(timeoutId);
+            timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+        };
+
+        const onCancel = () => controller.abort();
+        request.signal?.addEventListener('abort', onCancel);
+
+        const recordUsage = usage => this.usageLedger.record({
+            kind: 'llm',
+            provider: settings.backend,
+            model,
+            ...(request.usage || {}),
+            ...usage
+        });
+        // A stream stopped part way is still billed, but its usage never arrives
+        let streamedText = '';
+        const streamRequest = request.onText
+            ? { ...request, onText: text => { streamedText = text; request.onText(text); } }
+            : request;
+
+        try {
+            const result = settings.backend === LLM_BACKENDS.ANTHROPIC
+                ? await this.completeWithAnthropic(settings, model, streamRequest, controller.signal, resetTimeout)
+                : await this.completeWithOpenAIFormat(settings, model, streamRequest, controller.signal, resetTimeout);
+
+            recordUsage({
+                inputTokens: result.usage.inputTokens,
+                outputTokens: result.usage.outputTokens
+            });
+
+            if (!result.text) {
+                throw new LLMError(`Empty response from ${LLM_CONFIG.BACKEND_LABELS[settings.backend]}`);
+            }
+
+            return { ...result, model, backend: settings.backend };
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                if (streamedText) {
+                    // Roughly 4 characters per token
+                    recordUsage({
+                        inputTokens: Math.ceil(((request.system || '').length + request.prompt.length) / 4),
+                        outputTokens: Math.ceil(streamedText.length / 4),
+                        estimated: true
+                    });
+                }
+                throw new LLMError(request.signal?.aborted ? 'Request cancelled' : 'Request timeout');
+            }
+            throw error;
+        } finally {
+            clearTimeout(timeoutId);
+            request.signal?.removeEventListener('abort', onCancel);
+        }
+    }
+
+    async completeWithOpenAIFormat(settings, model, request, signal, onChunk) {
+        const baseUrl = settings.backend === LLM_BACKENDS.OPENAI_COMPATIBLE
+            ? this.normalizeBaseUrl(settings.baseUrl)
+            : LLM_CONFIG.OPENAI_BASE_URL;
+        if (!baseUrl) {
+            throw new LLMError('No server URL configured for the custom LLM backend');
+        }
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (settings.apiKey) {
+            headers['Authorization'] = `Bearer ${settings.apiKey}`;
+        }
+
+        const messages = [];
+        if (request.system) {
+            messages.push({ role: 'system', content: request.system });
+        }
+        messages.push({ role: 'user', content: request.prompt });
+
+        const body = {
+            model,
+            messages,
+            max_tokens: request.maxTokens || LLM_CONFIG.DEFAULT_MAX_TOKENS,
+            temperature: request.temperature ?? 0.7,
+            ...(request.openAIOptions || {})
+        };
+
+        if (request.onText) {
+            let text = '';
+            const usage = { inputTokens: 0, outputTokens: 0 };
+            await this.postStream(settings, `${baseUrl}/chat/completions`, headers, {
+                ...body,
+                stream: true,
+                // Usage arrives in a final chunk; OpenAI-compatible servers mostly ignore this
+                ...(settings.backend === LLM_BACKENDS.OPENAI ? { stream_options: { include_usage: true } } : {})
+            }, signal, event => {
+                onChunk();
+                const delta = event.choices?.[0]?.delta?.content;
+                if (delta) {
+                    text += delta;
+                    request.onText(text);
+                }
+                if (event.usage) {
+                    usage.inputTokens = event.usage.prompt_tokens || 0;
+                    usage.outputTokens = event.usage.completion_tokens || 0;
+                }
+            });
+            return { text: text.trim(), usage };
+        }
+
+        const data = await this.postJson(settings, `${baseUrl}/chat/completions`, headers, body, signal);
+
+        return {
+            text: (data.choices?.[0]?.message?.content || '').trim(),
+            usage: {
+                inputTokens: data.usage?.prompt_tokens || 0,
+                outputTokens: data.usage?.completion_tokens || 0
+            }
+        };
+    }
+
+    async completeWithAnthropic(settings, model, request, signal, onChunk) {
+        const url = `${LLM_CONFIG.ANTHROPIC_BASE_URL}/messages`;
+        const headers = {
+            'Content-Type': 'application/json',
+            'x-api-key': settings.apiKey,
+            'anthropic-version': LLM_CONFIG.ANTHROPIC_VERSION,
+            // Required for requests made straight from the browser
+            'anthropic-dangerous-direct-browser-access': 'true'
+        };
+        const body = {
+            model,
+            ...(request.system ? { system: request.system } : {}),
+            messages: [{ role: 'user', content: request.prompt }],
+            max_tokens: request.maxTokens || LLM_CONFIG.DEFAULT_MAX_TOKENS,
+            temperature: Math.min(request.temperature ?? 0.7, 1)
+        };
+
+        if (request.onText) {
+            let text = '';
+            const usage = { inputTokens: 0, outputTokens: 0 };
+            await this.postStream(settings, url, headers, { ...body, stream: true }, signal, event => {
+                onChunk();
+                if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+                    text += event.delta.text;
+                    request.onText(text);
+                } else if (event.type === 'message_start') {
+                    usage.inputTokens = event.message?.usage?.input_tokens || 0;
+                } else if (event.type === 'message_delta') {
+                    usage.outputTokens = event.usage?.output_tokens || 0;
+                } else if (event.type === 'error') {
+                    throw new LLMError(event.error?.message || 'Stream error');
+                }
+            });
+            return { text: text.trim(), usage };
+        }
+
+        const data = await this.postJson(settings, url, headers, body, signal);
+
+        return {
+            text: (data.content || [])
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join('')
+                .trim(),
+            usage: {
+                inputTokens: data.usage?.input_tokens || 0,
+                outputTokens: data.usage?.output_tokens || 0
+            }
+        };
+    }
+
+    async postJson(settings, url, headers, body, signal) {
+        const response = await this.send(settings, url, headers, body, signal);
+        return await response.json();
+    }
+
+    async send(settings, url, headers, body, signal) {
+        let response;
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(body),
+                signal
+            });
+        } catch (error) {
+            // fetch() rejects with a TypeError when the server is down or blocked by CORS
+            if (error.name === 'TypeError' && settings.backend === LLM_BACKENDS.OPENAI_COMPATIBLE) {
+                throw new LLMError(`Could not reach the LLM server at ${new URL(url).host}. Is it running?`);
+            }
+            throw error;
+        }
+
+        if (!response.ok) {
+            // The response body can echo the request, so only the status is logged
+            if (isDebugLogging()) console.error(`❌ ${LLM_CONFIG.BACKEND_LABELS[settings.backend]} API error:`, response.status);
+            throw new LLMError(this.getErrorMessage(settings.backend, response.status), response.status);
+        }
+
+        return response;
+    }
+
+    /**
+     * POST and read a server-sent event stream, calling onEvent with each parsed data line
+     */
+    async postStream(settings, url, headers, body, signal, onEvent) {
+        const response = await this.send(settings, url, headers, body, signal);
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop(); // Keep a partial line for the next read
+
+            for (const line of lines) {
+                const data = line.trim().startsWith('data:') ? line.trim().substring(5).trim() : '';
+                if (!data || data === '[DONE]') continue;
+
+                let event;
+                try {
+                    event = JSON.parse(data);
+                } catch (error) {
+                    continue; // Keep-alive comments and partial frames
+                }
+                onEvent(event);
+            }
+        }
+    }
+
+    getErrorMessage(backend, status) {
+        switch (status) {
+            case 401:
+            case 403:
+                return 'Invalid API key';
+            case 402:
+                return 'Insufficient credits';
+            case 404:
+                return 'Model or endpoint not found';
+            case 429:
+                return 'Rate limit exceeded';
+            case 500:
+            case 502:
+            case 503:
+            case 529:
+                return `${LLM_CONFIG.BACKEND_LABELS[backend]} service unavailable`;
+            default:
+                return `API error: ${status}`;
+        }
+    }
+
+    /**
+     * Accept ".../v1", ".../v1/" or a full ".../chat/completions" URL
+     */
+    normalizeBaseUrl(url) {
+        return (url || '').trim().replace(/\/+$/, '').replace(/\/chat\/completions$/, '');
+    }
+}
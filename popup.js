@@ -11,6 +11,11 @@ const CONFIG = {
     STORAGE_KEYS: {
         OPENAI_API_KEY: 'openaiApiKey',
         ELEVENLABS_API_KEY: 'elevenlabsApiKey',
+        DEEPGRAM_API_KEY: 'deepgramApiKey',
+        STT_PROVIDER: 'sttProvider',
+        STT_LANGUAGE: 'sttLanguage',
+        LOCAL_STT_URL: 'localSttUrl',
+        LOCAL_STT_AUTH_HEADER: 'localSttAuthHeader',
         GPT_API_KEY: 'gptApiKey',
         CLEANUP_PROMPT: 'cleanupPrompt',
         ENABLE_CLEANUP: 'enableCleanup',
@@ -33,7 +38,39 @@ const CONFIG = {
 
 const SERVICES = {
     OPENAI: 'openai',
-    ELEVENLABS: 'elevenlabs'
+    ELEVENLABS: 'elevenlabs',
+    DEEPGRAM: 'deepgram',
+    LOCAL: 'local'
+};
+
+// Speech-to-text providers the popup can switch between (mirrors content.js)
+const STT_PROVIDERS = {
+    [SERVICES.ELEVENLABS]: {
+        label: 'ElevenLabs',
+        storageKey: CONFIG.STORAGE_KEYS.ELEVENLABS_API_KEY,
+        placeholder: 'Enter ElevenLabs API key',
+        signupUrl: 'https://try.elevenlabs.io/yappr-chrome',
+        signupText: 'Generate Free on ElevenLabs here.'
+    },
+    [SERVICES.OPENAI]: {
+        label: 'OpenAI Whisper',
+        storageKey: CONFIG.STORAGE_KEYS.GPT_API_KEY,
+        placeholder: 'sk-...',
+        signupUrl: 'https://platform.openai.com/api-keys',
+        signupText: 'Get a key on OpenAI here.'
+    },
+    [SERVICES.DEEPGRAM]: {
+        label: 'Deepgram',
+        storageKey: CONFIG.STORAGE_KEYS.DEEPGRAM_API_KEY,
+        placeholder: 'Enter Deepgram API key',
+        signupUrl: 'https://console.deepgram.com',
+        signupText: 'Get a key on Deepgram here.'
+    },
+    [SERVICES.LOCAL]: {
+        label: 'Self-hosted Whisper',
+        storageKey: CONFIG.STORAGE_KEYS.LOCAL_STT_AUTH_HEADER,
+        requiresKey: false
+    }
 };
 
 const MESSAGE_TYPES = {
@@ -41,7 +78,13 @@ const MESSAGE_TYPES = {
     GET_RECORDING_STATE: 'getRecordingState',
     RECORDING_STATE_CHANGED: 'recordingStateChanged',
     SERVICE_CHANGED: 'serviceChanged',
-    TRANSCRIPTION_COMPLETE: 'transcriptionComplete'
+    TRANSCRIPTION_COMPLETE: 'transcriptionComplete',
+    GET_AUDIO_QUEUE: 'getAudioQueue',
+    GET_QUEUED_AUDIO: 'getQueuedAudio',
+    REMOVE_QUEUED_AUDIO: 'removeQueuedAudio',
+    RETRY_QUEUED_AUDIO: 'retryQueuedAudio',
+    AUDIO_QUEUE_CHANGED: 'audioQueueChanged',
+    GET_SITE_RULE_MATCH: 'getSiteRuleMatch'
 };
 
 // ===============================================
@@ -51,6 +94,10 @@ function truncateText(text, maxLength) {
     return text.length > maxLength ? text.substring(0, maxLength) + '...' : text;
 }
 
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
 function validateApiKeyFormat(apiKey, service) {
     if (!apiKey || typeof apiKey !== 'string') return false;
     
@@ -58,6 +105,7 @@ function validateApiKeyFormat(apiKey, service) {
         case 'openai':
             return apiKey.startsWith('sk-');
         case 'elevenlabs':
+        case 'deepgram':
             return apiKey.trim().length > 0;
         default:
             return false;
@@ -115,6 +163,13 @@ function createTimestampedFilename(baseName, extension, timestamp = null) {
     return `${baseName}-${dateStr}.${extension}`;
 }
 
+function getAudioExtension(mimeType = '') {
+    if (mimeType.includes('wav')) return 'wav';
+    if (mimeType.includes('ogg')) return 'ogg';
+    if (mimeType.includes('mp4')) return 'm4a';
+    return 'webm';
+}
+
 // ===============================================
 // STORAGE MANAGER
 // ===============================================
@@ -214,20 +269,20 @@ class StorageManager {
     }
 
     async getApiKey(service) {
-        // Only ElevenLabs STT is supported
-        if (service !== SERVICES.ELEVENLABS) {
-            throw new Error('Only ElevenLabs service is supported for STT');
+        const provider = STT_PROVIDERS[service];
+        if (!provider) {
+            throw new Error(`Unknown STT service: ${service}`);
         }
-        const result = await this.get(CONFIG.STORAGE_KEYS.ELEVENLABS_API_KEY);
-        return result[CONFIG.STORAGE_KEYS.ELEVENLABS_API_KEY] || '';
+        const result = await this.get(provider.storageKey);
+        return result[provider.storageKey] || '';
     }
 
     async setApiKey(service, apiKey) {
-        // Only ElevenLabs STT is supported
-        if (service !== SERVICES.ELEVENLABS) {
-            throw new Error('Only ElevenLabs service is supported for STT');
+        const provider = STT_PROVIDERS[service];
+        if (!provider) {
+            throw new Error(`Unknown STT service: ${service}`);
         }
-        return await this.set({ [CONFIG.STORAGE_KEYS.ELEVENLABS_API_KEY]: apiKey });
+        return await this.set({ [provider.storageKey]: apiKey });
     }
 
 
@@ -438,10 +493,23 @@ class BaseUI {
         try {
             console.log('🔄 Popup: Loading data...');
             
-            // Simple direct storage access for API key
-            const apiKeyResult = await chrome.storage.sync.get(['elevenlabsApiKey']);
+            // Simple direct storage access for the STT provider and its keys
+            const apiKeyResult = await chrome.storage.sync.get([
+                CONFIG.STORAGE_KEYS.STT_PROVIDER,
+                CONFIG.STORAGE_KEYS.STT_LANGUAGE,
+                CONFIG.STORAGE_KEYS.ELEVENLABS_API_KEY,
+                CONFIG.STORAGE_KEYS.DEEPGRAM_API_KEY,
+                CONFIG.STORAGE_KEYS.GPT_API_KEY,
+                CONFIG.STORAGE_KEYS.LOCAL_STT_URL
+            ]);
+            const sttProvider = apiKeyResult.sttProvider;
             this.config = {
-                elevenlabsApiKey: apiKeyResult.elevenlabsApiKey || ''
+                sttProvider: STT_PROVIDERS[sttProvider] ? sttProvider : SERVICES.ELEVENLABS,
+                sttLanguage: apiKeyResult.sttLanguage || '',
+                elevenlabsApiKey: apiKeyResult.elevenlabsApiKey || '',
+                deepgramApiKey: apiKeyResult.deepgramApiKey || '',
+                gptApiKey: apiKeyResult.gptApiKey || '',
+                localSttUrl: apiKeyResult.localSttUrl || ''
             };
             
             // Load other data using storage manager for compatibility
@@ -456,10 +524,20 @@ class BaseUI {
                 foldersCount: this.folders.length
             });
             
-            // Populate API key input if exists
-            if (this.elements.apiKeyInput && this.config.elevenlabsApiKey) {
-                this.elements.apiKeyInput.value = this.config.elevenlabsApiKey;
+            // Populate provider select and API key input if exists
+            if (this.elements.sttProviderSelect) {
+                this.elements.sttProviderSelect.value = this.config.sttProvider;
+            }
+            if (this.elements.sttLanguageSelect) {
+                if (this.elements.sttLanguageSelect.options.length === 0) {
+                    this.elements.sttLanguageSelect.add(new Option('Auto-detect language', ''));
+                    Object.entries(LANGUAGES).forEach(([code, name]) => {
+                        this.elements.sttLanguageSelect.add(new Option(name, code));
+                    });
+                }
+                this.elements.sttLanguageSelect.value = this.config.sttLanguage;
             }
+            this.updateApiKeyInput();
             
             // Load cleanup setting
             const cleanupResult = await chrome.storage.sync.get(['cleanupEnabled']);
@@ -471,6 +549,7 @@ class BaseUI {
             console.error('❌ Popup: Error loading data:', error);
             // Fallback to default data instead of throwing
             this.config = {
+                sttProvider: SERVICES.ELEVENLABS,
                 elevenlabsApiKey: ''
             };
             this.stats = CONFIG.DEFAULT_STATS;
@@ -577,7 +656,7 @@ class BaseUI {
             const success = await this.apiManager.saveApiKey(service, apiKey);
             if (success) {
                 this.config[`${service}ApiKey`] = apiKey;
-                this.showSuccess(`${service === SERVICES.OPENAI ? 'OpenAI' : 'ElevenLabs'} API key saved!`);
+                this.showSuccess(`${STT_PROVIDERS[service]?.label || 'OpenAI'} API key saved!`);
             }
             return success;
         } catch (error) {
@@ -665,6 +744,7 @@ class YapprPopup extends BaseUI {
         super();
         this.isRecording = false;
         this.elements = {};
+        this.audioQueue = [];
     }
 
     async init() {
@@ -673,6 +753,7 @@ class YapprPopup extends BaseUI {
         await this.initializePresets();
         this.checkRecordingState();
         this.setupMessageListener();
+        this.loadAudioQueue();
     }
 
     cacheElements() {
@@ -681,11 +762,14 @@ class YapprPopup extends BaseUI {
             // Enhancement Presets
             presetPills: document.getElementById('presetPills'),
             presetStatus: document.getElementById('presetStatus'),
+            siteRuleStatus: document.getElementById('siteRuleStatus'),
             
             // Settings
             configureSettingsBtn: document.getElementById('configureSettingsBtn'),
             
             // API Key Input
+            sttProviderSelect: document.getElementById('sttProviderSelect'),
+            sttLanguageSelect: document.getElementById('sttLanguageSelect'),
             apiKeyInput: document.getElementById('apiKeyInput'),
             saveApiKeyBtn: document.getElementById('saveApiKey'),
             
@@ -705,6 +789,10 @@ class YapprPopup extends BaseUI {
             // History
             historyList: document.getElementById('historyList'),
             
+            // Pending / failed recordings
+            audioQueueSection: document.getElementById('audioQueueSection'),
+            audioQueueList: document.getElementById('audioQueueList'),
+            
             // Analytics, History, Folders, and Help cards
             viewAnalytics: document.getElementById('viewAnalytics'),
             viewAllHistory: document.getElementById('viewAllHistory'),
@@ -751,6 +839,20 @@ class YapprPopup extends BaseUI {
             this.openSettings();
         });
         
+        // Speech-to-text provider select
+        if (this.elements.sttProviderSelect) {
+            this.elements.sttProviderSelect.addEventListener('change', () => {
+                this.handleProviderChange(this.elements.sttProviderSelect.value);
+            });
+        }
+        
+        // Spoken language, picked up by the content script on the next recording
+        if (this.elements.sttLanguageSelect) {
+            this.elements.sttLanguageSelect.addEventListener('change', () => {
+                this.handleLanguageChange(this.elements.sttLanguageSelect.value);
+            });
+        }
+        
         // API Key Save button
         if (this.elements.saveApiKeyBtn) {
             this.elements.saveApiKeyBtn.addEventListener('click', () => {
@@ -843,6 +945,11 @@ class YapprPopup extends BaseUI {
         this.elements.historyList.addEventListener('click', (event) => {
             this.handleHistoryClick(event);
         });
+        
+        // Pending / failed queue delegation
+        this.elements.audioQueueList.addEventListener('click', (event) => {
+            this.handleAudioQueueClick(event);
+        });
     }
 
     setupMessageListener() {
@@ -860,6 +967,10 @@ class YapprPopup extends BaseUI {
                 case 'API_ERROR_NOTIFICATION':
                     this.handleApiErrorNotification(message);
                     break;
+                    
+                case MESSAGE_TYPES.AUDIO_QUEUE_CHANGED:
+                    this.loadAudioQueue();
+                    break;
             }
         });
         // Removed storage change listeners - we handle API keys directly now
@@ -873,27 +984,98 @@ class YapprPopup extends BaseUI {
     }
 
 
+    getSelectedProvider() {
+        return STT_PROVIDERS[this.config.sttProvider] || STT_PROVIDERS[SERVICES.ELEVENLABS];
+    }
+
+    getSelectedApiKey() {
+        return this.config[this.getSelectedProvider().storageKey] || '';
+    }
+
+    isProviderReady() {
+        return this.getSelectedProvider().requiresKey === false || !!this.getSelectedApiKey();
+    }
+
+    updateApiKeyInput() {
+        if (!this.elements.apiKeyInput) return;
+        const provider = this.getSelectedProvider();
+        
+        // Self-hosted servers are configured on the settings page instead
+        const apiConfig = document.getElementById('apiConfig');
+        if (apiConfig) {
+            apiConfig.style.display = provider.requiresKey === false ? 'none' : '';
+        }
+        
+        this.elements.apiKeyInput.placeholder = provider.placeholder || '';
+        this.elements.apiKeyInput.value = this.getSelectedApiKey();
+    }
+
+    async handleLanguageChange(language) {
+        if (language && !LANGUAGES[language]) return;
+        
+        try {
+            await chrome.storage.sync.set({ [CONFIG.STORAGE_KEYS.STT_LANGUAGE]: language });
+            this.config.sttLanguage = language;
+            console.log('✅ Popup: STT language changed to', language || 'auto-detect');
+        } catch (error) {
+            console.error('❌ Popup: Failed to change STT language:', error);
+            this.showError('Failed to change language. Please try again.');
+        }
+    }
+
+    async handleProviderChange(serviceId) {
+        if (!STT_PROVIDERS[serviceId]) return;
+        
+        try {
+            await chrome.storage.sync.set({ [CONFIG.STORAGE_KEYS.STT_PROVIDER]: serviceId });
+            this.config.sttProvider = serviceId;
+            
+            this.updateApiKeyInput();
+            this.updateApiStatus();
+            this.updateRecordButton();
+            
+            // Let the content script switch without waiting for the next recording
+            this.sendMessageToContentScript({
+                type: MESSAGE_TYPES.SERVICE_CHANGED,
+                service: serviceId
+            });
+            
+            console.log('✅ Popup: STT provider changed to', serviceId);
+        } catch (error) {
+            console.error('❌ Popup: Failed to change STT provider:', error);
+            this.showError('Failed to change provider. Please try again.');
+        }
+    }
+
     updateApiStatus() {
-        const elevenlabsApiKey = this.config.elevenlabsApiKey;
+        const provider = this.getSelectedProvider();
+        const apiKey = this.getSelectedApiKey();
         
-        console.log('🔍 Popup: updateApiStatus called, elevenlabsApiKey:', elevenlabsApiKey ? '***SET***' : 'NOT SET');
+        console.log(`🔍 Popup: updateApiStatus called, ${provider.label} key:`, apiKey ? '***SET***' : 'NOT SET');
         
         const statusDot = this.elements.apiStatus.querySelector('.status-dot');
         const statusText = this.elements.apiStatus.querySelector('.status-text');
         
-        if (!elevenlabsApiKey) {
-            console.log('❌ Popup: No ElevenLabs API key found');
+        if (provider.requiresKey === false) {
+            const serverUrl = this.config.localSttUrl;
+            statusDot.classList.add('connected');
+            statusText.textContent = serverUrl 
+                ? `${provider.label} at ${serverUrl.replace(/^https?:\/\//, '').split('/')[0]}`
+                : `${provider.label} (default localhost server)`;
+        } else if (!apiKey) {
+            console.log(`❌ Popup: No ${provider.label} API key found`);
             statusDot.classList.remove('connected');
-            statusText.innerHTML = `Enter your API key above. <a href="https://try.elevenlabs.io/yappr-chrome" target="_blank" style="color: var(--accent); text-decoration: none;">Generate Free on ElevenLabs here.</a>`;
+            statusText.innerHTML = `Enter your API key above. <a href="${provider.signupUrl}" target="_blank" style="color: var(--accent); text-decoration: none;">${provider.signupText}</a>`;
         } else {
-            console.log('✅ Popup: ElevenLabs API key found, showing connected state');
+            console.log(`✅ Popup: ${provider.label} API key found, showing connected state`);
             statusDot.classList.add('connected');
-            statusText.textContent = 'ElevenLabs connected';
+            statusText.textContent = `${provider.label} connected`;
         }
     }
     
     async saveApiKey() {
         const apiKey = this.elements.apiKeyInput.value.trim();
+        const provider = this.getSelectedProvider();
         
         if (!apiKey) {
             this.showWarning('Please enter an API key');
@@ -902,10 +1084,10 @@ class YapprPopup extends BaseUI {
         
         try {
             // Simple, direct save to chrome.storage.sync
-            await chrome.storage.sync.set({ elevenlabsApiKey: apiKey });
+            await chrome.storage.sync.set({ [provider.storageKey]: apiKey });
             
             // Update local config
-            this.config.elevenlabsApiKey = apiKey;
+            this.config[provider.storageKey] = apiKey;
             
             // Update UI
             this.updateApiStatus();
@@ -991,9 +1173,114 @@ class YapprPopup extends BaseUI {
             .join('');
     }
 
+    async loadAudioQueue() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: MESSAGE_TYPES.GET_AUDIO_QUEUE });
+            this.audioQueue = response?.items || [];
+        } catch (error) {
+            console.error('Error loading audio queue:', error);
+            this.audioQueue = [];
+        }
+        this.updateAudioQueueDisplay();
+    }
+
+    updateAudioQueueDisplay() {
+        this.elements.audioQueueSection.style.display = this.audioQueue.length > 0 ? '' : 'none';
+        this.elements.audioQueueList.innerHTML = this.audioQueue
+            .map(item => this.formatQueuedAudioItem(item))
+            .join('');
+    }
+
+    formatQueuedAudioItem(item) {
+        const date = new Date(item.timestamp);
+        const timeStr = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const dateStr = date.toLocaleDateString();
+        const duration = item.duration ? `${Math.round(item.duration)}s` : 'N/A';
+        const isRetrying = item.status === 'retrying';
+
+        return `
+            <div class="transcription-card" data-id="${item.id}">
+                <div class="card-header">
+                    <div class="card-meta">
+                        <div class="card-time">${timeStr} - ${dateStr}</div>
+                        <div class="card-stats">
+                            <span class="queue-status ${item.status}">${item.status}</span> • ${duration}
+                        </div>
+                    </div>
+                    <div class="card-actions">
+                        <button class="action-icon" data-action="retry" data-id="${item.id}" title="Retry" ${isRetrying ? 'disabled' : ''}>
+                            <span class="material-icons">refresh</span>
+                        </button>
+                        <button class="action-icon" data-action="download" data-id="${item.id}" title="Download audio">
+                            <span class="material-icons">download</span>
+                        </button>
+                        <button class="action-icon" data-action="delete" data-id="${item.id}" title="Delete">
+                            <span class="material-icons">delete</span>
+                        </button>
+                    </div>
+                </div>
+                <div class="card-content">
+                    <div class="card-error">${escapeHtml(truncateText(item.error || '', CONFIG.UI.TEXT_TRUNCATE_LENGTH))}</div>
+                </div>
+            </div>
+        `;
+    }
+
+    async handleAudioQueueClick(event) {
+        const actionElement = event.target.closest('.action-icon');
+        if (!actionElement) return;
+
+        const itemId = actionElement.dataset.id;
+        switch (actionElement.dataset.action) {
+            case 'retry':
+                await this.retryQueuedAudio(itemId);
+                break;
+            case 'download':
+                await this.downloadQueuedAudio(itemId);
+                break;
+            case 'delete':
+                if (await this.confirmAction('Delete this recording? The audio cannot be recovered.')) {
+                    await chrome.runtime.sendMessage({ type: MESSAGE_TYPES.REMOVE_QUEUED_AUDIO, id: itemId });
+                }
+                break;
+        }
+    }
+
+    async retryQueuedAudio(itemId) {
+        const response = await chrome.runtime.sendMessage({
+            type: MESSAGE_TYPES.RETRY_QUEUED_AUDIO,
+            ids: [itemId]
+        });
+        if (response?.success) {
+            this.showInfo('Retrying transcription...');
+        } else {
+            this.showError(response?.error || 'Could not retry recording');
+        }
+    }
+
+    async downloadQueuedAudio(itemId) {
+        const response = await chrome.runtime.sendMessage({ type: MESSAGE_TYPES.GET_QUEUED_AUDIO, id: itemId });
+        if (!response?.success) {
+            this.showError(response?.error || 'Recording not found');
+            return;
+        }
+        
+        const a = document.createElement('a');
+        a.href = response.audioDataUrl;
+        a.download = createTimestampedFilename(
+            'yappr-recording',
+            getAudioExtension(response.item.mimeType),
+            response.item.timestamp
+        );
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        
+        this.showSuccess('Downloaded!');
+    }
+
     updateRecordButton() {
-        const elevenlabsApiKey = this.config.elevenlabsApiKey;
-        const hasValidConfig = !!elevenlabsApiKey;
+        const hasValidConfig = this.isProviderReady();
         
         this.elements.recordButton.disabled = !hasValidConfig;
         
@@ -1170,7 +1457,7 @@ class YapprPopup extends BaseUI {
         if (message.error.includes('API_KEY_INVALID')) {
             statusDot.classList.remove('connected');
             statusText.innerHTML = `
-                <span style="color: var(--color-error);">❌ Invalid ElevenLabs API key</span><br>
+                <span style="color: var(--color-error);">❌ Invalid ${this.getSelectedProvider().label} API key</span><br>
                 <a href="#" id="configureKeysLink" style="color: var(--accent); text-decoration: none;">Update in settings</a>
             `;
             
@@ -1186,8 +1473,8 @@ class YapprPopup extends BaseUI {
         } else if (message.error.includes('CREDITS_EXHAUSTED')) {
             statusDot.classList.remove('connected');
             statusText.innerHTML = `
-                <span style="color: var(--color-warning);">⚠️ ElevenLabs credits exhausted</span><br>
-                <a href="https://try.elevenlabs.io/yappr-chrome" target="_blank" style="color: var(--accent); text-decoration: none;">Add credits</a>
+                <span style="color: var(--color-warning);">⚠️ ${this.getSelectedProvider().label} credits exhausted</span><br>
+                <a href="${this.getSelectedProvider().signupUrl}" target="_blank" style="color: var(--accent); text-decoration: none;">Add credits</a>
             `;
             
         } else if (message.error.includes('RATE_LIMIT')) {
@@ -1212,18 +1499,12 @@ class YapprPopup extends BaseUI {
         try {
             console.log('🎨 Popup: Loading presets...');
             
-            // Get presets from storage (try sync first, then local)
-            let { presets = {}, selectedPresetId = null } = await chrome.storage.sync.get(['presets', 'selectedPresetId']);
-            console.log('🔍 Popup: Retrieved from sync storage:', { presets, selectedPresetId });
-            
-            // If no presets found in sync, try local storage
-            if (Object.keys(presets).length === 0) {
-                console.log('🔍 Popup: No presets in sync storage, trying local...');
-                const localData = await chrome.storage.local.get(['presets', 'selectedPresetId']);
-                presets = localData.presets || {};
-                selectedPresetId = localData.selectedPresetId || selectedPresetId;
-                console.log('🔍 Popup: Retrieved from local storage:', { presets, selectedPresetId });
-            }
+            // The library lives in local storage; older installs may still have it in sync
+            const syncData = await chrome.storage.sync.get(['presets', 'selectedPresetId']);
+            const localData = await chrome.storage.local.get(['presets', 'selectedPresetId']);
+            const presets = localData.presets || syncData.presets || {};
+            const selectedPresetId = syncData.selectedPresetId || localData.selectedPresetId || null;
+            console.log('🔍 Popup: Retrieved presets:', { count: Object.keys(presets).length, selectedPresetId });
             
             // Clear existing pills
             const pillsContainer = this.elements.presetPills;
@@ -1246,10 +1527,13 @@ class YapprPopup extends BaseUI {
             const presetArray = Object.values(presets).filter(preset => preset.enabled);
             console.log('🔍 Popup: Found presets:', presetArray.length, presetArray.map(p => p.name));
             
-            // Sort presets: system presets first, then by usage/name
+            // Library order from settings, then system presets first, then by usage/name
             presetArray.sort((a, b) => {
+                const orderA = typeof a.order === 'number' ? a.order : Infinity;
+                const orderB = typeof b.order === 'number' ? b.order : Infinity;
+                if (orderA !== orderB) return orderA - orderB;
                 if (a.isSystem !== b.isSystem) return a.isSystem ? -1 : 1;
-                if (a.usageCount !== b.usageCount) return b.usageCount - a.usageCount;
+                if ((a.usageCount || 0) !== (b.usageCount || 0)) return (b.usageCount || 0) - (a.usageCount || 0);
                 return a.name.localeCompare(b.name);
             });
             
@@ -1262,12 +1546,16 @@ class YapprPopup extends BaseUI {
                 if (preset.isSystem) {
                     pill.textContent += ' ✨'; // System preset indicator
                 }
+                if (preset.category) {
+                    pill.title = preset.category;
+                }
                 pillsContainer.appendChild(pill);
             });
             
             // Set active pill
             this.setActivePill(selectedPresetId);
             this.updatePresetStatus(selectedPresetId);
+            this.updateSiteRuleStatus();
             
             console.log(`✅ Popup: Loaded ${presetArray.length} presets, selected: ${selectedPresetId}`);
             
@@ -1339,6 +1627,33 @@ class YapprPopup extends BaseUI {
         }
     }
 
+    /**
+     * Show the site rule that overrides the selection on the current tab, if any
+     */
+    async updateSiteRuleStatus() {
+        const statusElement = this.elements.siteRuleStatus;
+        if (!statusElement) return;
+        
+        try {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            if (!tab) return;
+            
+            const response = await chrome.tabs.sendMessage(tab.id, { type: MESSAGE_TYPES.GET_SITE_RULE_MATCH });
+            if (!response?.rule) {
+                statusElement.style.display = 'none';
+                return;
+            }
+            
+            const target = response.presetName || 'No enhancement';
+            const field = response.rule.selector ? ` (${response.rule.selector})` : '';
+            statusElement.querySelector('.site-rule-text').textContent = `Site rule ${response.rule.pattern}${field} → ${target}`;
+            statusElement.style.display = '';
+        } catch (error) {
+            // Content script isn't loaded on this tab (e.g. chrome:// pages)
+            statusElement.style.display = 'none';
+        }
+    }
+
     async initializePresets() {
         try {
             // Load presets on popup open
@@ -1346,7 +1661,7 @@ class YapprPopup extends BaseUI {
             
             // Listen for preset changes from other parts of the extension
             chrome.storage.onChanged.addListener((changes, namespace) => {
-                if (namespace === 'sync' && (changes.presets || changes.selectedPresetId)) {
+                if (changes.presets || (namespace === 'sync' && (changes.selectedPresetId || changes.siteRules))) {
                     console.log('🔄 Popup: Presets changed, reloading...');
                     this.loadPresets();
                 }
@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+// Yappr Mock Streaming Server
+// Stands in for Deepgram's live transcription WebSocket so the streaming
+// overlay can be tested without an API key or network access. It answers
+// audio with scripted interim and final "Results" messages and closes after
+// a {"type": "CloseStream"} message, like the real endpoint.
+//
+// Usage:   node scripts/mock-streaming-server.js [port]     (default 8765)
+// Then set Settings → Live transcription → Streaming URL to ws://localhost:8765
+//
+// No dependencies: the WebSocket handshake and framing are done by hand.
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.argv[2] || process.env.PORT, 10) || 8765;
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const CHUNKS_PER_WORD = 2;       // ~0.5s of audio per word at the 250ms timeslice
+const WORDS_PER_SENTENCE = 12;   // Longest run of interim results before a final one
+const SCRIPT = 'This is the Yappr mock streaming server. Every few chunks of audio it sends the next word as an interim result. After a few words the sentence is sent as final and typed into the field. Stop recording to flush the last words and close the connection.'
+    .split(/\s+/);
+
+const OPCODES = { TEXT: 0x1, BINARY: 0x2, CLOSE: 0x8, PING: 0x9, PONG: 0xA };
+
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Read complete frames from the buffer
+ * @returns {{frames: Array<{opcode, payload}>, rest: Buffer}}
+ */
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+
+    while (buffer.length - offset >= 2) {
+        const opcode = buffer[offset] & 0x0f;
+        const masked = (buffer[offset + 1] & 0x80) !== 0;
+        let length = buffer[offset + 1] & 0x7f;
+        let headerLength = 2;
+
+        if (length === 126) {
+            if (buffer.length - offset < 4) break;
+            length = buffer.readUInt16BE(offset + 2);
+            headerLength = 4;
+        } else if (length === 127) {
+            if (buffer.length - offset < 10) break;
+            length = Number(buffer.readBigUInt64BE(offset + 2));
+            headerLength = 10;
+        }
+
+        const maskLength = masked ? 4 : 0;
+        if (buffer.length - offset < headerLength + maskLength + length) break;
+
+        const payload = Buffer.from(buffer.subarray(offset + headerLength + maskLength, offset + headerLength + maskLength + length));
+        if (masked) {
+            const mask = buffer.subarray(offset + headerLength, offset + headerLength + 4);
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i % 4];
+            }
+        }
+
+        frames.push({ opcode, payload });
+        offset += headerLength + maskLength + length;
+    }
+
+    return { frames, rest: buffer.subarray(offset) };
+}
+
+function handleConnection(socket, url) {
+    let buffer = Buffer.alloc(0);
+    let chunks = 0;
+    let wordIndex = 0;
+    let sentence = [];
+    let closed = false;
+
+    const send = message => {
+        if (!closed) socket.write(encodeFrame(OPCODES.TEXT, Buffer.from(JSON.stringify(message))));
+    };
+    const sendResults = (transcript, isFinal) => send({
+        type: 'Results',
+        is_final: isFinal,
+        channel: { alternatives: [{ transcript }] }
+    });
+    const close = () => {
+        if (closed) return;
+        socket.write(encodeFrame(OPCODES.CLOSE, Buffer.from([0x03, 0xe8]))); // 1000: normal closure
+        closed = true;
+        socket.end();
+    };
+
+    const onAudio = () => {
+        chunks++;
+        if (chunks % CHUNKS_PER_WORD !== 0) return;
+
+        const word = SCRIPT[wordIndex++ % SCRIPT.length];
+        sentence.push(word);
+        if (/[.!?]$/.test(word) || sentence.length >= WORDS_PER_SENTENCE) {
+            sendResults(sentence.join(' '), true);
+            sentence = [];
+        } else {
+            sendResults(sentence.join(' '), false);
+        }
+    };
+
+    const onText = text => {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            return;
+        }
+        if (message.type === 'CloseStream') {
+            if (sentence.length > 0) {
+                sendResults(sentence.join(' '), true);
+                sentence = [];
+            }
+            console.log(`⏹️  CloseStream after ${chunks} audio chunks`);
+            close();
+        }
+    };
+
+    console.log(`🔴 Connected: ${url.search || '(no parameters)'}`);
+
+    socket.on('data', data => {
+        const decoded = decodeFrames(Buffer.concat([buffer, data]));
+        buffer = decoded.rest;
+
+        for (const frame of decoded.frames) {
+            if (frame.opcode === OPCODES.BINARY) {
+                onAudio();
+            } else if (frame.opcode === OPCODES.TEXT) {
+                onText(frame.payload.toString('utf8'));
+            } else if (frame.opcode === OPCODES.PING) {
+                socket.write(encodeFrame(OPCODES.PONG, frame.payload));
+            } else if (frame.opcode === OPCODES.CLOSE) {
+                close();
+            }
+        }
+    });
+    socket.on('close', () => {
+        closed = true;
+        console.log('⚪ Disconnected');
+    });
+    socket.on('error', () => {
+        closed = true;
+    });
+}
+
+const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('Yappr mock streaming server: connect with a WebSocket\n');
+});
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    const headers = [
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`
+    ];
+
+    // Deepgram authenticates with the ["token", apiKey] subprotocol; the browser
+    // drops the connection unless one of the offered protocols is echoed back
+    const protocols = (req.headers['sec-websocket-protocol'] || '').split(',').map(protocol => protocol.trim());
+    if (protocols.includes('token')) {
+        headers.push('Sec-WebSocket-Protocol: token');
+    }
+
+    socket.write(headers.join('\r\n') + '\r\n\r\n');
+    handleConnection(socket, new URL(req.url, `http://localhost:${PORT}`));
+});
+
+server.listen(PORT, () => {
+    console.log(`🎙️  Mock streaming server listening on ws://localhost:${PORT}`);
+});
@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+// Checks for the word diff in text-diff.js: accepting every change must give the
+// new text and rejecting every change the old one, spacing included (except
+// between words that didn't change, which keep the new spacing).
+//
+// Usage:   node scripts/test-text-diff.js
+//
+// No dependencies: text-diff.js is a plain script, so it is run in a VM context.
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const context = {};
+vm.createContext(context);
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'text-diff.js'), 'utf8'), context);
+const { diffWords, buildDiffHunks, applyDiffHunks } = vm.runInContext('({ diffWords, buildDiffHunks, applyDiffHunks })', context);
+
+function review(before, after, accepted) {
+    const hunks = buildDiffHunks(diffWords(before, after));
+    hunks.forEach(hunk => { hunk.accepted = accepted; });
+    return applyDiffHunks(hunks);
+}
+
+const cases = [
+    ['trailing deletion', 'a b c', 'a b'],
+    ['trailing deletion in a sentence', 'Please call me back tomorrow', 'Please call me back'],
+    ['leading deletion', 'so um I think we should go', 'I think we should go'],
+    ['deletion in the middle', 'we should um go', 'we should go'],
+    ['trailing insertion', 'see you', 'see you soon.'],
+    ['leading insertion', 'meeting moved', 'The meeting moved'],
+    ['replacement', 'the quick fox', 'the slow fox'],
+    ['new paragraph between unchanged words', 'First point. Second point', 'First point.\n\nSecond point.', 'First point.\n\nSecond point'],
+    ['no common words', 'alpha beta', 'gamma delta'],
+    ['empty new text', 'only words', '']
+];
+
+let failures = 0;
+cases.forEach(([name, before, after, rejected = before]) => {
+    try {
+        assert.strictEqual(review(before, after, true), after.trim(), 'accepting every change');
+        assert.strictEqual(review(before, after, false), rejected.trim(), 'rejecting every change');
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failures++;
+        console.error(`❌ ${name}: ${error.message}`);
+    }
+});
+
+process.exitCode = failures > 0 ? 1 : 0;
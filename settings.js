@@ -1,10 +1,93 @@
 // Yappr Settings - Streamlined for ElevenLabs STT + OpenAI AI Features
 // Phase 2: Removed OpenAI STT, unified OpenAI key for all AI features
 
+// Keep in sync with DEFAULT_VOICE_COMMANDS in content.js
+const DEFAULT_VOICE_COMMANDS = [
+    { id: 'new-paragraph', phrases: ['new paragraph'], action: 'insert', text: '\n\n', spacing: 'none', enabled: true },
+    { id: 'new-line', phrases: ['new line'], action: 'insert', text: '\n', spacing: 'none', enabled: true },
+    { id: 'comma', phrases: ['comma'], action: 'insert', text: ',', spacing: 'left', enabled: true },
+    { id: 'period', phrases: ['period', 'full stop'], action: 'insert', text: '.', spacing: 'left', enabled: true },
+    { id: 'question-mark', phrases: ['question mark'], action: 'insert', text: '?', spacing: 'left', enabled: true },
+    { id: 'exclamation-mark', phrases: ['exclamation mark', 'exclamation point'], action: 'insert', text: '!', spacing: 'left', enabled: true },
+    { id: 'colon', phrases: ['colon'], action: 'insert', text: ':', spacing: 'left', enabled: true },
+    { id: 'open-quote', phrases: ['open quote'], action: 'insert', text: '"', spacing: 'right', enabled: true },
+    { id: 'close-quote', phrases: ['close quote', 'end quote'], action: 'insert', text: '"', spacing: 'left', enabled: true },
+    { id: 'bullet-point', phrases: ['bullet point'], action: 'insert', text: '\n• ', spacing: 'none', enabled: true },
+    { id: 'scratch-that', phrases: ['scratch that', 'delete that'], action: 'scratch', enabled: true },
+    { id: 'all-caps', phrases: ['all caps'], action: 'capsOn', enabled: true },
+    { id: 'end-caps', phrases: ['end caps'], action: 'capsOff', enabled: true }
+];
+
+const VOCABULARY_RULE_TYPES = ['exact', 'ignoreCase', 'regex'];
+
+const VOICE_COMMAND_ACTION_LABELS = {
+    scratch: 'Deletes the last sentence',
+    capsOn: 'Starts ALL CAPS',
+    capsOff: 'Ends ALL CAPS'
+};
+
+// Same ordering as comparePresets in content.js
+function comparePresets(a, b) {
+    const orderA = typeof a.order === 'number' ? a.order : Infinity;
+    const orderB = typeof b.order === 'number' ? b.order : Infinity;
+    if (orderA !== orderB) return orderA - orderB;
+    if (a.isSystem !== b.isSystem) return a.isSystem ? -1 : 1;
+    if ((a.usageCount || 0) !== (b.usageCount || 0)) return (b.usageCount || 0) - (a.usageCount || 0);
+    return a.name.localeCompare(b.name);
+}
+
+const PRESET_BUNDLE_TYPE = 'yappr-preset-bundle';
+
+// Material icon names; imported presets with anything else get the default icon
+const PRESET_ICON_PATTERN = /^[a-z0-9_]+$/;
+
+// Built-in text steps a pipeline preset can run between model presets
+const PIPELINE_LOCAL_STEPS = {
+    cleanTranscription: 'Remove filler words',
+    formatParagraphs: 'Format into paragraphs',
+    vocabulary: 'Apply custom vocabulary'
+};
+
+function isPipelinePreset(preset) {
+    return Array.isArray(preset?.pipeline) && preset.pipeline.length > 0;
+}
+
+// Most versions a preset can ask for in one request (mirrors content.js)
+const MAX_VARIANTS = 5;
+
+// Versions kept per preset; older ones are dropped
+const MAX_PRESET_VERSIONS = 20;
+
+// Preset regression bench: sample transcripts saved on a preset, re-enhanced
+// and compared with the last output that was accepted
+const PRESET_BENCH = {
+    MAX_SAMPLES: 10,
+    SHORTER_RATIO: 0.6, // Flag outputs under 60% of the accepted length
+    MARKDOWN_PATTERN: /(^|\n)\s*(#{1,6}\s|[-*+]\s|>\s)|\*\*[^*\n]+\*\*|__[^_\n]+__|`[^`\n]+`|\[[^\]\n]+\]\([^)\n]+\)/,
+    // Openers of a reply to the text rather than a rewrite of it
+    ANSWER_PATTERN: /^(sure|certainly|of course|absolutely|great question|good question|yes[,.!]|no[,.!]|here(?:'s| is| are)\b|i(?:'d| would) (?:be happy|suggest|recommend)|as an ai)/i,
+    QUESTION_PATTERN: /\?|(^|[.!]\s+)(what|how|why|when|where|who|which|can|could|should|would|is|are|do|does)\b/i
+};
+
+function addLanguageOptions(select, emptyLabel) {
+    select.add(new Option(emptyLabel, ''));
+    Object.entries(LANGUAGES).forEach(([code, name]) => select.add(new Option(name, code)));
+}
+
 class YapprSettings {
     constructor() {
         this.validateKeyTimeout = null;
         this.elements = {};
+        this.voiceCommands = [];
+        this.vocabulary = [];
+        this.siteRules = [];
+        this.usagePrices = structuredClone(DEFAULT_USAGE_PRICES);
+        this.editingPipeline = [];
+        this.editingSamples = [];
+        this.editingOutputFields = [];
+        this.editingVersions = [];
+        this.benchResults = [];
+        this.benchRunning = false;
         this.init();
     }
 
@@ -34,45 +117,102 @@ class YapprSettings {
     setupStorageListener() {
         // Listen for changes to preset data and automatically reload UI
         chrome.storage.onChanged.addListener((changes, namespace) => {
-            if (namespace === 'sync') {
-                let shouldReloadPresets = false;
-                
-                // Check if preset-related data changed
-                if (changes.presets || changes.selectedPresetId) {
-                    shouldReloadPresets = true;
-                }
-                
-                if (shouldReloadPresets) {
-                    console.log('🔄 Storage changed, reloading preset data...');
-                    this.loadPresetDataFromStorage();
-                }
+            // Presets live in local storage, the selected preset in sync
+            if (changes.presets || (namespace === 'sync' && changes.selectedPresetId)) {
+                console.log('🔄 Storage changed, reloading preset data...');
+                this.loadPresetDataFromStorage();
             }
         });
     }
 
     async loadPresetDataFromStorage() {
         try {
-            const storage = await chrome.storage.sync.get(['presets', 'selectedPresetId']);
-            await this.loadPresetData(storage);
+            const { selectedPresetId = null } = await chrome.storage.sync.get(['selectedPresetId']);
+            await this.loadPresetData({ presets: await this.getPresets(), selectedPresetId });
         } catch (error) {
             console.error('❌ Error reloading preset data from storage:', error);
         }
     }
 
+    /**
+     * The preset library is kept in local storage: sync's 8KB-per-item quota
+     * only fits a handful of prompts. Older installs may still have it in sync.
+     */
+    async getPresets() {
+        const { presets } = await chrome.storage.local.get(['presets']);
+        if (presets) return presets;
+        
+        const syncData = await chrome.storage.sync.get(['presets']);
+        return syncData.presets || {};
+    }
+
+    async savePresets(presets) {
+        await chrome.storage.local.set({ presets });
+    }
+
     async loadElements() {
         this.elements = {
             // API Key inputs - SIMPLIFIED: Only ElevenLabs + OpenAI (for AI features)
             elevenlabsApiKey: document.getElementById('elevenlabsApiKey'),
+            deepgramApiKey: document.getElementById('deepgramApiKey'),
+            localSttUrl: document.getElementById('localSttUrl'),
+            localSttModel: document.getElementById('localSttModel'),
+            localSttAuthHeader: document.getElementById('localSttAuthHeader'),
             gptApiKey: document.getElementById('gptApiKey'), // Now unified OpenAI key
             
             // Status indicators
             elevenlabsStatus: document.getElementById('elevenlabsStatus'),
+            deepgramStatus: document.getElementById('deepgramStatus'),
+            localStatus: document.getElementById('localStatus'),
             gptStatus: document.getElementById('gptStatus'),
             
             // Error messages
             elevenlabsError: document.getElementById('elevenlabsError'),
+            deepgramError: document.getElementById('deepgramError'),
+            localError: document.getElementById('localError'),
+            
+            // Speech-to-text provider choice
+            sttProviderGroup: document.getElementById('sttProviderGroup'),
+            streamingToggle: document.getElementById('streamingToggle'),
+            saveRecordingsToggle: document.getElementById('saveRecordingsToggle'),
+            streamEnhancementToggle: document.getElementById('streamEnhancementToggle'),
+            streamEnhancementTargetGroup: document.getElementById('streamEnhancementTargetGroup'),
+            reviewEnhancementToggle: document.getElementById('reviewEnhancementToggle'),
+            voiceCommandsToggle: document.getElementById('voiceCommandsToggle'),
+            voiceCommandsGroup: document.getElementById('voiceCommandsGroup'),
+            voiceCommandsList: document.getElementById('voiceCommandsList'),
+            addVoiceCommandBtn: document.getElementById('addVoiceCommandBtn'),
+            resetVoiceCommandsBtn: document.getElementById('resetVoiceCommandsBtn'),
+            vocabularyList: document.getElementById('vocabularyList'),
+            addVocabularyBtn: document.getElementById('addVocabularyBtn'),
+            importVocabularyBtn: document.getElementById('importVocabularyBtn'),
+            exportVocabularyBtn: document.getElementById('exportVocabularyBtn'),
+            vocabularyFileInput: document.getElementById('vocabularyFileInput'),
+            userName: document.getElementById('userName'),
+            siteRulesList: document.getElementById('siteRulesList'),
+            addSiteRuleBtn: document.getElementById('addSiteRuleBtn'),
+            usageDailyBudget: document.getElementById('usageDailyBudget'),
+            usageMonthlyBudget: document.getElementById('usageMonthlyBudget'),
+            usagePriceList: document.getElementById('usagePriceList'),
+            addUsagePriceBtn: document.getElementById('addUsagePriceBtn'),
+            resetUsagePricesBtn: document.getElementById('resetUsagePricesBtn'),
+            usageSttPrices: document.getElementById('usageSttPrices'),
+            streamingUrlGroup: document.getElementById('streamingUrlGroup'),
+            streamingUrl: document.getElementById('streamingUrl'),
+            sttLanguage: document.getElementById('sttLanguage'),
             gptError: document.getElementById('gptError'),
             
+            // AI backend for enhancement, cleanup and analysis
+            llmBackendGroup: document.getElementById('llmBackendGroup'),
+            llmModel: document.getElementById('llmModel'),
+            llmBaseUrl: document.getElementById('llmBaseUrl'),
+            llmApiKey: document.getElementById('llmApiKey'),
+            llmServerStatus: document.getElementById('llmServerStatus'),
+            llmServerError: document.getElementById('llmServerError'),
+            anthropicApiKey: document.getElementById('anthropicApiKey'),
+            anthropicStatus: document.getElementById('anthropicStatus'),
+            anthropicError: document.getElementById('anthropicError'),
+            
             // Note: Text cleanup and analysis features removed - now handled by presets
             
             // Preset Management features
@@ -81,17 +221,55 @@ class YapprSettings {
             usageStats: document.getElementById('usageStats'),
             presetsList: document.getElementById('presetsList'),
             presetCount: document.getElementById('presetCount'),
+            presetSearch: document.getElementById('presetSearch'),
+            presetCategoryFilter: document.getElementById('presetCategoryFilter'),
+            importPresetsBtn: document.getElementById('importPresetsBtn'),
+            exportPresetsBtn: document.getElementById('exportPresetsBtn'),
+            presetsFileInput: document.getElementById('presetsFileInput'),
             addPresetBtn: document.getElementById('addPresetBtn'),
             testPresetBtn: document.getElementById('testPresetBtn'),
             testResults: document.getElementById('testResults'),
+            runPresetBenchBtn: document.getElementById('runPresetBenchBtn'),
+            presetBenchResults: document.getElementById('presetBenchResults'),
             
             // Preset editor modal (reuse existing modal)
             presetEditorModal: document.getElementById('presetEditorModal'),
             presetName: document.getElementById('presetName'),
             presetDomains: document.getElementById('presetDomains'),
             presetPrompt: document.getElementById('presetPrompt'),
+            presetPromptError: document.getElementById('presetPromptError'),
+            presetModel: document.getElementById('presetModel'),
+            presetCategory: document.getElementById('presetCategory'),
+            presetIcon: document.getElementById('presetIcon'),
+            presetTranslationSource: document.getElementById('presetTranslationSource'),
+            presetTranslationTarget: document.getElementById('presetTranslationTarget'),
+            presetTypeField: document.getElementById('presetTypeField'),
+            presetTypeGroup: document.getElementById('presetTypeGroup'),
+            presetPromptField: document.getElementById('presetPromptField'),
+            presetVariantsField: document.getElementById('presetVariantsField'),
+            presetVariantCount: document.getElementById('presetVariantCount'),
+            presetVariantStyles: document.getElementById('presetVariantStyles'),
+            presetOutputField: document.getElementById('presetOutputField'),
+            presetOutputFormat: document.getElementById('presetOutputFormat'),
+            presetOutputSchema: document.getElementById('presetOutputSchema'),
+            presetOutputFieldsList: document.getElementById('presetOutputFieldsList'),
+            addPresetOutputFieldBtn: document.getElementById('addPresetOutputFieldBtn'),
+            presetOutputTemplateGroup: document.getElementById('presetOutputTemplateGroup'),
+            presetOutputTemplate: document.getElementById('presetOutputTemplate'),
+            presetOutputError: document.getElementById('presetOutputError'),
+            presetPipelineField: document.getElementById('presetPipelineField'),
+            presetPipelineSteps: document.getElementById('presetPipelineSteps'),
+            presetPipelineError: document.getElementById('presetPipelineError'),
+            addPipelineStepBtn: document.getElementById('addPipelineStepBtn'),
+            presetVersionsField: document.getElementById('presetVersionsField'),
+            presetVersionsList: document.getElementById('presetVersionsList'),
+            presetVersionNote: document.getElementById('presetVersionNote'),
+            presetSamplesField: document.getElementById('presetSamplesField'),
+            presetSamplesList: document.getElementById('presetSamplesList'),
+            addPresetSampleBtn: document.getElementById('addPresetSampleBtn'),
             promptCharCount: document.getElementById('promptCharCount'),
             presetEnabledToggle: document.getElementById('presetEnabledToggle'),
+            presetVoiceCommandsToggle: document.getElementById('presetVoiceCommandsToggle'),
             cancelPresetEdit: document.getElementById('cancelPresetEdit'),
             savePresetEdit: document.getElementById('savePresetEdit'),
             modalClose: document.querySelectorAll('.modal-close'),
@@ -123,11 +301,35 @@ class YapprSettings {
             // Load only the keys we need: ElevenLabs + OpenAI + Presets
             const storage = await chrome.storage.sync.get([
                 'elevenlabsApiKey', 
+                'deepgramApiKey',
+                'sttProvider',
+                'localSttUrl',
+                'localSttModel',
+                'localSttAuthHeader',
+                'sttLanguage',
+                'streamingEnabled',
+                'streamingUrl',
+                'saveRecordings',
+                'voiceCommandsEnabled',
+                'voiceCommands',
+                'siteRules',
+                'userName',
                 'gptApiKey',
+                'llmBackend',
+                'llmModel',
+                'llmBaseUrl',
+                'llmApiKey',
+                'anthropicApiKey',
                 'enableCleanup',
                 'cleanupPrompt',
                 'enableAnalysis',
                 'analysisSchedule',
+                'enhancementChunkMode',
+                'streamEnhancement',
+                'streamEnhancementTarget',
+                'reviewEnhancement',
+                'usageBudgets',
+                'usagePrices',
                 'presets',
                 'selectedPresetId'
             ]);
@@ -140,11 +342,127 @@ class YapprSettings {
                 this.updateStatus('elevenlabs', 'success');
             }
 
+            if (this.elements.deepgramApiKey && storage.deepgramApiKey) {
+                this.elements.deepgramApiKey.value = storage.deepgramApiKey;
+                this.updateStatus('deepgram', 'success');
+            }
+
+            // Self-hosted transcription server
+            if (this.elements.localSttUrl && storage.localSttUrl) {
+                this.elements.localSttUrl.value = storage.localSttUrl;
+            }
+            if (this.elements.localSttModel && storage.localSttModel) {
+                this.elements.localSttModel.value = storage.localSttModel;
+            }
+            if (this.elements.localSttAuthHeader && storage.localSttAuthHeader) {
+                this.elements.localSttAuthHeader.value = storage.localSttAuthHeader;
+            }
+
+            // Spoken language ('' lets the provider detect it)
+            if (this.elements.sttLanguage) {
+                if (this.elements.sttLanguage.options.length === 0) {
+                    addLanguageOptions(this.elements.sttLanguage, 'Auto-detect');
+                }
+                this.elements.sttLanguage.value = storage.sttLanguage || '';
+            }
+
+            // Live transcription
+            if (this.elements.streamingToggle) {
+                const isEnabled = storage.streamingEnabled === true;
+                this.elements.streamingToggle.setAttribute('aria-checked', isEnabled);
+                this.elements.streamingToggle.classList.toggle('active', isEnabled);
+                this.toggleStreamingUrl(isEnabled);
+            }
+            if (this.elements.streamingUrl && storage.streamingUrl) {
+                this.elements.streamingUrl.value = storage.streamingUrl;
+            }
+
+            // Recording playback
+            if (this.elements.saveRecordingsToggle) {
+                const isEnabled = storage.saveRecordings === true;
+                this.elements.saveRecordingsToggle.setAttribute('aria-checked', isEnabled);
+                this.elements.saveRecordingsToggle.classList.toggle('active', isEnabled);
+            }
+
+            // Voice commands
+            if (this.elements.voiceCommandsToggle) {
+                const isEnabled = storage.voiceCommandsEnabled === true;
+                this.elements.voiceCommandsToggle.setAttribute('aria-checked', isEnabled);
+                this.elements.voiceCommandsToggle.classList.toggle('active', isEnabled);
+                this.toggleVoiceCommandsTable(isEnabled);
+            }
+            this.voiceCommands = Array.isArray(storage.voiceCommands) && storage.voiceCommands.length > 0
+                ? storage.voiceCommands
+                : structuredClone(DEFAULT_VOICE_COMMANDS);
+            this.renderVoiceCommands();
+
+            // Vocabulary can grow large, so it lives in local storage
+            const { vocabulary } = await chrome.storage.local.get(['vocabulary']);
+            this.vocabulary = Array.isArray(vocabulary) ? vocabulary : [];
+            this.renderVocabulary();
+
+            if (this.elements.userName && storage.userName) {
+                this.elements.userName.value = storage.userName;
+            }
+
+            // AI usage budgets and price table
+            const budgets = storage.usageBudgets || {};
+            if (this.elements.usageDailyBudget && budgets.daily) {
+                this.elements.usageDailyBudget.value = budgets.daily;
+            }
+            if (this.elements.usageMonthlyBudget && budgets.monthly) {
+                this.elements.usageMonthlyBudget.value = budgets.monthly;
+            }
+            const budgetModeRadio = document.querySelector(`input[name="usageBudgetMode"][value="${budgets.mode === 'block' ? 'block' : 'warn'}"]`);
+            if (budgetModeRadio) {
+                budgetModeRadio.checked = true;
+            }
+            const prices = storage.usagePrices || {};
+            this.usagePrices = {
+                models: Array.isArray(prices.models) ? prices.models : structuredClone(DEFAULT_USAGE_PRICES.models),
+                stt: { ...DEFAULT_USAGE_PRICES.stt, ...(prices.stt || {}) }
+            };
+            this.renderUsagePrices();
+
+            // Site rules (rendered once the preset list is loaded)
+            this.siteRules = Array.isArray(storage.siteRules)
+                ? storage.siteRules.map(rule => ({ selector: '', sttLanguage: rule.translation?.source || '', ...rule }))
+                : [];
+
+            // Select the speech-to-text provider
+            const provider = storage.sttProvider || 'elevenlabs';
+            const providerInput = document.querySelector(`input[name="sttProvider"][value="${provider}"]`);
+            if (providerInput) {
+                providerInput.checked = true;
+            }
+            this.updateProviderFields(provider);
+
             if (this.elements.gptApiKey && storage.gptApiKey) {
                 this.elements.gptApiKey.value = storage.gptApiKey;
                 this.updateStatus('gpt', 'success');
             }
 
+            // AI backend
+            if (this.elements.anthropicApiKey && storage.anthropicApiKey) {
+                this.elements.anthropicApiKey.value = storage.anthropicApiKey;
+                this.updateStatus('anthropic', 'success');
+            }
+            if (this.elements.llmModel && storage.llmModel) {
+                this.elements.llmModel.value = storage.llmModel;
+            }
+            if (this.elements.llmBaseUrl && storage.llmBaseUrl) {
+                this.elements.llmBaseUrl.value = storage.llmBaseUrl;
+            }
+            if (this.elements.llmApiKey && storage.llmApiKey) {
+                this.elements.llmApiKey.value = storage.llmApiKey;
+            }
+            const llmBackend = storage.llmBackend || LLM_BACKENDS.OPENAI;
+            const llmBackendInput = document.querySelector(`input[name="llmBackend"][value="${llmBackend}"]`);
+            if (llmBackendInput) {
+                llmBackendInput.checked = true;
+            }
+            this.updateLlmBackendFields(llmBackend);
+
             // Load feature toggles
             if (this.elements.enableCleanup) {
                 const isEnabled = storage.enableCleanup === true;
@@ -165,6 +483,33 @@ class YapprSettings {
                 this.toggleAnalysisSchedule(isEnabled);
             }
 
+            // Streamed enhancement
+            if (this.elements.streamEnhancementToggle) {
+                const isEnabled = storage.streamEnhancement === true;
+                this.elements.streamEnhancementToggle.setAttribute('aria-checked', isEnabled);
+                this.elements.streamEnhancementToggle.classList.toggle('active', isEnabled);
+                this.toggleStreamEnhancementTarget(isEnabled);
+            }
+            const streamTarget = storage.streamEnhancementTarget === 'overlay' ? 'overlay' : 'field';
+            const streamTargetInput = document.querySelector(`input[name="streamEnhancementTarget"][value="${streamTarget}"]`);
+            if (streamTargetInput) {
+                streamTargetInput.checked = true;
+            }
+
+            // Diff review before inserting
+            if (this.elements.reviewEnhancementToggle) {
+                const isEnabled = storage.reviewEnhancement === true;
+                this.elements.reviewEnhancementToggle.setAttribute('aria-checked', isEnabled);
+                this.elements.reviewEnhancementToggle.classList.toggle('active', isEnabled);
+            }
+
+            // Long transcript enhancement
+            const chunkMode = storage.enhancementChunkMode === 'parallel' ? 'parallel' : 'sequential';
+            const chunkModeInput = document.querySelector(`input[name="enhancementChunkMode"][value="${chunkMode}"]`);
+            if (chunkModeInput) {
+                chunkModeInput.checked = true;
+            }
+
             // Load analysis schedule
             const schedule = storage.analysisSchedule || 'manual';
             const scheduleInput = document.querySelector(`input[name="analysisSchedule"][value="${schedule}"]`);
@@ -173,7 +518,7 @@ class YapprSettings {
             }
 
             // Load preset management data
-            await this.loadPresetData(storage);
+            await this.loadPresetData({ ...storage, presets: await this.getPresets() });
 
         } catch (error) {
             console.error('❌ Error loading stored values:', error);
@@ -206,6 +551,9 @@ class YapprSettings {
             // Update presets list
             this.updatePresetsList(presets);
             
+            // Site rules offer the presets as targets
+            this.renderSiteRules();
+            
             console.log('✅ Settings: Preset data loading complete');
             
         } catch (error) {
@@ -286,7 +634,7 @@ Text to clean: {transcript}`,
             };
 
             // Save to storage
-            await chrome.storage.sync.set({ presets: defaultPresets });
+            await this.savePresets(defaultPresets);
             console.log('✅ Settings: Created 3 default presets');
             
             return defaultPresets;
@@ -347,21 +695,39 @@ Text to clean: {transcript}`,
             return;
         }
         
-        const presetArray = Object.values(presets).sort((a, b) => {
-            // System presets first, then custom presets
-            if (a.isSystem !== b.isSystem) return a.isSystem ? -1 : 1;
-            return a.name.localeCompare(b.name);
+        this.presetsCache = presets;
+        const sortedPresets = Object.values(presets).sort(comparePresets);
+        this.updatePresetCategoryOptions(sortedPresets);
+        
+        const query = (this.elements.presetSearch?.value || '').trim().toLowerCase();
+        const category = this.elements.presetCategoryFilter?.value || '';
+        const presetArray = sortedPresets.filter(preset => {
+            if (category && (preset.category || '') !== category) return false;
+            if (!query) return true;
+            return [preset.name, preset.prompt, preset.category].some(value => (value || '').toLowerCase().includes(query));
         });
         
         console.log('🔍 Settings: Rendering', presetArray.length, 'presets:', presetArray.map(p => p.name));
         
-        this.elements.presetsList.innerHTML = presetArray.map(preset => `
+        // Group by category once the library uses categories
+        const useGroups = sortedPresets.some(preset => preset.category);
+        let lastCategory = null;
+        
+        this.elements.presetsList.innerHTML = presetArray.map((preset, index) => {
+            let heading = '';
+            if (useGroups && (preset.category || '') !== lastCategory) {
+                lastCategory = preset.category || '';
+                heading = `<div class="preset-category-heading">${this.escapeHtml(lastCategory || 'Uncategorized')}</div>`;
+            }
+            const position = sortedPresets.indexOf(preset);
+            
+            return `${heading}
             <div class="preset-card" data-preset-id="${preset.id}">
                 <div class="preset-header">
                     <div class="preset-info">
                         <div class="preset-name">
-                            <span class="material-icons preset-icon">${this.getPresetIcon(preset.id)}</span>
-                            ${preset.name}
+                            <span class="material-icons preset-icon">${this.escapeHtml(this.getPresetIcon(preset))}</span>
+                            ${this.escapeHtml(preset.name)}
                             ${preset.isSystem ? ' ✨' : ''}
                         </div>
                         <div class="preset-domains">${this.getPresetDescription(preset)}</div>
@@ -374,48 +740,93 @@ Text to clean: {transcript}`,
                              tabindex="0">
                             <div class="toggle-slider"></div>
                         </div>
-                        <button class="btn-ghost btn-small edit-preset-btn" data-preset-id="${preset.id}">
+                        <button class="btn-ghost btn-small move-preset-btn" data-preset-id="${preset.id}" data-direction="-1" title="Move up" ${position === 0 ? 'disabled' : ''}>
+                            <span class="material-icons">arrow_upward</span>
+                        </button>
+                        <button class="btn-ghost btn-small move-preset-btn" data-preset-id="${preset.id}" data-direction="1" title="Move down" ${position === sortedPresets.length - 1 ? 'disabled' : ''}>
+                            <span class="material-icons">arrow_downward</span>
+                        </button>
+                        <button class="btn-ghost btn-small duplicate-preset-btn" data-preset-id="${preset.id}" title="Duplicate">
+                            <span class="material-icons">content_copy</span>
+                        </button>
+                        <button class="btn-ghost btn-small edit-preset-btn" data-preset-id="${preset.id}" title="Edit">
                             <span class="material-icons">edit</span>
                         </button>
                         ${!preset.isSystem ? `
-                            <button class="btn-ghost btn-small delete-preset-btn" data-preset-id="${preset.id}">
+                            <button class="btn-ghost btn-small delete-preset-btn" data-preset-id="${preset.id}" title="Delete">
                                 <span class="material-icons">delete</span>
                             </button>
                         ` : ''}
                     </div>
                 </div>
-                <div class="preset-description">${preset.prompt.substring(0, 100)}...</div>
+                <div class="preset-description">${isPipelinePreset(preset)
+                    ? `${preset.pipeline.length} step${preset.pipeline.length === 1 ? '' : 's'}, run in order`
+                    : `${this.escapeHtml(preset.prompt.substring(0, 100))}...`}</div>
             </div>
-        `).join('');
+        `;
+        }).join('');
+        
+        if (presetArray.length === 0) {
+            this.elements.presetsList.innerHTML = '<div class="no-presets">No presets match your search</div>';
+        }
         
         // Update preset count
         if (this.elements.presetCount) {
-            this.elements.presetCount.textContent = presetArray.length;
+            this.elements.presetCount.textContent = presetArray.length === sortedPresets.length
+                ? sortedPresets.length
+                : `${presetArray.length} of ${sortedPresets.length}`;
+        }
+    }
+
+    updatePresetCategoryOptions(presets) {
+        const categories = [...new Set(presets.map(preset => preset.category).filter(Boolean))]
+            .sort((a, b) => a.localeCompare(b));
+        
+        const filter = this.elements.presetCategoryFilter;
+        if (filter) {
+            const current = filter.value;
+            filter.innerHTML = '<option value="">All categories</option>';
+            categories.forEach(category => filter.add(new Option(category, category)));
+            filter.value = categories.includes(current) ? current : '';
         }
         
-        // Add event listeners to the new elements
-        this.setupPresetListeners();
+        const datalist = document.getElementById('presetCategoryOptions');
+        if (datalist) {
+            datalist.innerHTML = '';
+            categories.forEach(category => datalist.appendChild(new Option(category)));
+        }
     }
 
-    getPresetIcon(presetId) {
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text || '';
+        return div.innerHTML;
+    }
+
+    getPresetIcon(preset) {
         const icons = {
             'default-email': 'email',
             'default-professional': 'business',
             'default-basic': 'cleaning_services'
         };
-        return icons[presetId] || 'auto_fix_high';
+        return preset.icon || icons[preset.id] || 'auto_fix_high';
     }
 
     getPresetDescription(preset) {
+        const category = preset.category ? `<span class="preset-category-tag">${this.escapeHtml(preset.category)}</span> • ` : '';
         if (preset.isSystem) {
             const descriptions = {
                 'default-email': 'Professional email structure',
                 'default-professional': 'Formal tone and language',
                 'default-basic': 'Remove filler words, fix grammar'
             };
-            return descriptions[preset.id] || 'System preset';
+            return category + (descriptions[preset.id] || 'System preset');
         }
-        return `Custom preset • ${preset.usageCount || 0} uses`;
+        if (isPipelinePreset(preset)) {
+            return `${category}Pipeline: ${this.escapeHtml(this.getPipelineSummary(preset))} • ${preset.usageCount || 0} uses`;
+        }
+        const variants = preset.variants?.count > 1 ? ` • ${preset.variants.count} variants` : '';
+        return `${category}Custom preset${variants} • ${preset.usageCount || 0} uses`;
     }
 
     setupEventListeners() {
@@ -425,11 +836,183 @@ Text to clean: {transcript}`,
             this.elements.elevenlabsApiKey.addEventListener('blur', () => this.validateKey('elevenlabs'));
         }
 
+        if (this.elements.deepgramApiKey) {
+            this.elements.deepgramApiKey.addEventListener('input', () => this.debouncedValidateKey('deepgram'));
+            this.elements.deepgramApiKey.addEventListener('blur', () => this.validateKey('deepgram'));
+        }
+
+        if (this.elements.localSttUrl) {
+            this.elements.localSttUrl.addEventListener('blur', () => this.validateLocalServer());
+        }
+
+        if (this.elements.streamingToggle) {
+            this.elements.streamingToggle.addEventListener('click', () => this.toggleStreaming());
+            this.elements.streamingToggle.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.toggleStreaming();
+                }
+            });
+        }
+
+        if (this.elements.saveRecordingsToggle) {
+            this.elements.saveRecordingsToggle.addEventListener('click', () => this.toggleSaveRecordings());
+            this.elements.saveRecordingsToggle.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.toggleSaveRecordings();
+                }
+            });
+        }
+
+        if (this.elements.streamEnhancementToggle) {
+            this.elements.streamEnhancementToggle.addEventListener('click', () => this.toggleStreamEnhancement());
+            this.elements.streamEnhancementToggle.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.toggleStreamEnhancement();
+                }
+            });
+        }
+
+        if (this.elements.reviewEnhancementToggle) {
+            this.elements.reviewEnhancementToggle.addEventListener('click', () => this.toggleReviewEnhancement());
+            this.elements.reviewEnhancementToggle.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.toggleReviewEnhancement();
+                }
+            });
+        }
+
+        if (this.elements.voiceCommandsToggle) {
+            this.elements.voiceCommandsToggle.addEventListener('click', () => this.toggleVoiceCommands());
+            this.elements.voiceCommandsToggle.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.toggleVoiceCommands();
+                }
+            });
+        }
+
+        if (this.elements.voiceCommandsList) {
+            this.elements.voiceCommandsList.addEventListener('input', (e) => this.updateVoiceCommand(e.target));
+            this.elements.voiceCommandsList.addEventListener('change', (e) => this.updateVoiceCommand(e.target));
+            this.elements.voiceCommandsList.addEventListener('click', (e) => {
+                const deleteBtn = e.target.closest('.delete-voice-command');
+                if (deleteBtn) {
+                    this.deleteVoiceCommand(deleteBtn.closest('.voice-command-row').dataset.commandId);
+                }
+            });
+        }
+
+        if (this.elements.addVoiceCommandBtn) {
+            this.elements.addVoiceCommandBtn.addEventListener('click', () => this.addVoiceCommand());
+        }
+
+        if (this.elements.resetVoiceCommandsBtn) {
+            this.elements.resetVoiceCommandsBtn.addEventListener('click', () => this.resetVoiceCommands());
+        }
+
+        if (this.elements.vocabularyList) {
+            this.elements.vocabularyList.addEventListener('input', (e) => this.updateVocabularyRule(e.target));
+            this.elements.vocabularyList.addEventListener('change', (e) => this.updateVocabularyRule(e.target));
+            this.elements.vocabularyList.addEventListener('click', (e) => {
+                const deleteBtn = e.target.closest('.delete-vocabulary-rule');
+                if (deleteBtn) {
+                    this.deleteVocabularyRule(deleteBtn.closest('.vocabulary-row').dataset.ruleId);
+                }
+            });
+        }
+
+        if (this.elements.addVocabularyBtn) {
+            this.elements.addVocabularyBtn.addEventListener('click', () => this.addVocabularyRule());
+        }
+
+        if (this.elements.importVocabularyBtn && this.elements.vocabularyFileInput) {
+            this.elements.importVocabularyBtn.addEventListener('click', () => this.elements.vocabularyFileInput.click());
+            this.elements.vocabularyFileInput.addEventListener('change', (e) => this.importVocabulary(e.target.files[0]));
+        }
+
+        if (this.elements.exportVocabularyBtn) {
+            this.elements.exportVocabularyBtn.addEventListener('click', () => this.exportVocabulary());
+        }
+
+        if (this.elements.usagePriceList) {
+            this.elements.usagePriceList.addEventListener('input', (e) => this.updateUsagePrice(e.target));
+            this.elements.usagePriceList.addEventListener('click', (e) => {
+                const deleteBtn = e.target.closest('.delete-usage-price');
+                if (deleteBtn) {
+                    this.deleteUsagePrice(parseInt(deleteBtn.closest('.usage-price-row').dataset.index, 10));
+                }
+            });
+        }
+
+        if (this.elements.usageSttPrices) {
+            this.elements.usageSttPrices.addEventListener('input', (e) => {
+                const provider = e.target.dataset.provider;
+                if (provider) {
+                    this.usagePrices.stt[provider] = e.target.value;
+                }
+            });
+        }
+
+        if (this.elements.addUsagePriceBtn) {
+            this.elements.addUsagePriceBtn.addEventListener('click', () => this.addUsagePrice());
+        }
+
+        if (this.elements.resetUsagePricesBtn) {
+            this.elements.resetUsagePricesBtn.addEventListener('click', () => this.resetUsagePrices());
+        }
+
+        if (this.elements.siteRulesList) {
+            this.elements.siteRulesList.addEventListener('input', (e) => this.updateSiteRule(e.target));
+            this.elements.siteRulesList.addEventListener('change', (e) => this.updateSiteRule(e.target));
+            this.elements.siteRulesList.addEventListener('click', (e) => {
+                const row = e.target.closest('.site-rule-row');
+                const moveBtn = e.target.closest('.move-site-rule');
+                if (moveBtn && !moveBtn.disabled) {
+                    this.moveSiteRule(row.dataset.ruleId, Number(moveBtn.dataset.direction));
+                } else if (e.target.closest('.delete-site-rule')) {
+                    this.deleteSiteRule(row.dataset.ruleId);
+                }
+            });
+        }
+
+        if (this.elements.addSiteRuleBtn) {
+            this.elements.addSiteRuleBtn.addEventListener('click', () => this.addSiteRule());
+        }
+
+        if (this.elements.sttProviderGroup) {
+            this.elements.sttProviderGroup.addEventListener('change', (e) => {
+                if (e.target.name === 'sttProvider') {
+                    this.updateProviderFields(e.target.value);
+                }
+            });
+        }
+
         if (this.elements.gptApiKey) {
             this.elements.gptApiKey.addEventListener('input', () => this.debouncedValidateKey('gpt'));
             this.elements.gptApiKey.addEventListener('blur', () => this.validateKey('gpt'));
         }
 
+        if (this.elements.anthropicApiKey) {
+            this.elements.anthropicApiKey.addEventListener('input', () => this.debouncedValidateKey('anthropic'));
+            this.elements.anthropicApiKey.addEventListener('blur', () => this.validateKey('anthropic'));
+        }
+
+        if (this.elements.llmBaseUrl) {
+            this.elements.llmBaseUrl.addEventListener('blur', () => this.validateLlmServer());
+        }
+
+        if (this.elements.llmBackendGroup) {
+            this.elements.llmBackendGroup.addEventListener('change', (e) => {
+                if (e.target.name === 'llmBackend') {
+                    this.updateLlmBackendFields(e.target.value);
+                }
+            });
+        }
+
         // Feature toggles
         if (this.elements.enableCleanup) {
             this.elements.enableCleanup.addEventListener('click', () => this.toggleCleanup());
@@ -460,6 +1043,37 @@ Text to clean: {transcript}`,
             this.elements.testPresetBtn.addEventListener('click', () => this.testCurrentPreset());
         }
 
+        if (this.elements.runPresetBenchBtn) {
+            this.elements.runPresetBenchBtn.addEventListener('click', () => this.runPresetBench());
+        }
+
+        if (this.elements.presetBenchResults) {
+            this.elements.presetBenchResults.addEventListener('click', (e) => {
+                const acceptBtn = e.target.closest('.accept-bench-output');
+                if (acceptBtn) {
+                    this.acceptBenchOutput(Number(acceptBtn.dataset.index));
+                }
+            });
+        }
+
+        // Preset library search, filter and sharing
+        if (this.elements.presetSearch) {
+            this.elements.presetSearch.addEventListener('input', () => this.updatePresetsList(this.presetsCache || {}));
+        }
+
+        if (this.elements.presetCategoryFilter) {
+            this.elements.presetCategoryFilter.addEventListener('change', () => this.updatePresetsList(this.presetsCache || {}));
+        }
+
+        if (this.elements.importPresetsBtn && this.elements.presetsFileInput) {
+            this.elements.importPresetsBtn.addEventListener('click', () => this.elements.presetsFileInput.click());
+            this.elements.presetsFileInput.addEventListener('change', (e) => this.importPresets(e.target.files[0]));
+        }
+
+        if (this.elements.exportPresetsBtn) {
+            this.elements.exportPresetsBtn.addEventListener('click', () => this.exportPresets());
+        }
+
         // Modal functionality (reused for preset editing)
         if (this.elements.presetEditorModal) {
             // Close modal buttons
@@ -486,7 +1100,102 @@ Text to clean: {transcript}`,
 
             // Character counter for prompt textarea
             if (this.elements.presetPrompt) {
-                this.elements.presetPrompt.addEventListener('input', () => this.updateCharacterCounter());
+                this.elements.presetPrompt.addEventListener('input', () => {
+                    this.updateCharacterCounter();
+                    this.validatePresetPrompt();
+                });
+            }
+
+            if (this.elements.presetTranslationSource && this.elements.presetTranslationTarget) {
+                addLanguageOptions(this.elements.presetTranslationSource, 'Detect spoken language');
+                addLanguageOptions(this.elements.presetTranslationTarget, "Don't translate");
+            }
+
+            if (this.elements.presetTypeGroup) {
+                this.elements.presetTypeGroup.addEventListener('change', () => this.updatePresetTypeFields());
+            }
+
+            if (this.elements.presetPipelineSteps) {
+                this.elements.presetPipelineSteps.addEventListener('change', (e) => this.updatePipelineStep(e.target));
+                this.elements.presetPipelineSteps.addEventListener('click', (e) => {
+                    const row = e.target.closest('.pipeline-step-row');
+                    const moveBtn = e.target.closest('.move-pipeline-step');
+                    if (moveBtn && !moveBtn.disabled) {
+                        this.movePipelineStep(Number(row.dataset.index), Number(moveBtn.dataset.direction));
+                    } else if (e.target.closest('.delete-pipeline-step')) {
+                        this.deletePipelineStep(Number(row.dataset.index));
+                    }
+                });
+            }
+
+            if (this.elements.addPipelineStepBtn) {
+                this.elements.addPipelineStepBtn.addEventListener('click', () => this.addPipelineStep());
+            }
+
+            if (this.elements.presetSamplesList) {
+                this.elements.presetSamplesList.addEventListener('input', (e) => {
+                    const row = e.target.closest('.preset-sample-row');
+                    if (row) {
+                        this.editingSamples[Number(row.dataset.index)].transcript = e.target.value;
+                    }
+                });
+                this.elements.presetSamplesList.addEventListener('click', (e) => {
+                    if (e.target.closest('.delete-preset-sample')) {
+                        this.deletePresetSample(Number(e.target.closest('.preset-sample-row').dataset.index));
+                    }
+                });
+            }
+
+            if (this.elements.addPresetSampleBtn) {
+                this.elements.addPresetSampleBtn.addEventListener('click', () => this.addPresetSample());
+            }
+
+            if (this.elements.presetOutputFormat) {
+                this.elements.presetOutputFormat.addEventListener('change', () => {
+                    this.updatePresetTypeFields();
+                    if (this.elements.presetOutputFormat.value && this.editingOutputFields.length === 0) {
+                        this.addPresetOutputField();
+                    }
+                    this.validatePresetOutput();
+                });
+            }
+
+            if (this.elements.presetOutputFieldsList) {
+                const updateField = (e) => {
+                    const row = e.target.closest('.preset-output-row');
+                    if (row && e.target.dataset.field) {
+                        const field = this.editingOutputFields[Number(row.dataset.index)];
+                        field[e.target.dataset.field] = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+                        this.validatePresetOutput();
+                    }
+                };
+                this.elements.presetOutputFieldsList.addEventListener('input', updateField);
+                this.elements.presetOutputFieldsList.addEventListener('change', updateField);
+                this.elements.presetOutputFieldsList.addEventListener('click', (e) => {
+                    if (e.target.closest('.delete-preset-output-field')) {
+                        this.deletePresetOutputField(Number(e.target.closest('.preset-output-row').dataset.index));
+                    }
+                });
+            }
+
+            if (this.elements.addPresetOutputFieldBtn) {
+                this.elements.addPresetOutputFieldBtn.addEventListener('click', () => this.addPresetOutputField());
+            }
+
+            if (this.elements.presetOutputTemplate) {
+                this.elements.presetOutputTemplate.addEventListener('input', () => this.validatePresetOutput());
+            }
+
+            if (this.elements.presetVersionsList) {
+                this.elements.presetVersionsList.addEventListener('click', (e) => {
+                    const row = e.target.closest('.preset-version-row');
+                    if (!row) return;
+                    if (e.target.closest('.show-version-diff')) {
+                        row.querySelector('.preset-version-diff')?.classList.toggle('open');
+                    } else if (e.target.closest('.restore-preset-version')) {
+                        this.restorePresetVersion(Number(row.dataset.version));
+                    }
+                });
             }
 
             // Toggle in modal
@@ -499,6 +1208,16 @@ Text to clean: {transcript}`,
                     }
                 });
             }
+
+            if (this.elements.presetVoiceCommandsToggle) {
+                this.elements.presetVoiceCommandsToggle.addEventListener('click', () => this.toggleModalVoiceCommands());
+                this.elements.presetVoiceCommandsToggle.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter' || e.key === ' ') {
+                        e.preventDefault();
+                        this.toggleModalVoiceCommands();
+                    }
+                });
+            }
         }
 
         // Setup initial preset listeners
@@ -558,6 +1277,30 @@ Text to clean: {transcript}`,
         if (service === 'elevenlabs') {
             // ElevenLabs key validation - basic format check
             return apiKey.length > 10; // Simple validation
+        } else if (service === 'deepgram') {
+            try {
+                const response = await fetch('https://api.deepgram.com/v1/projects', {
+                    headers: { 'Authorization': `Token ${apiKey}` }
+                });
+                return response.ok;
+            } catch (error) {
+                console.error('Deepgram API test failed:', error);
+                return false;
+            }
+        } else if (service === 'anthropic') {
+            try {
+                const response = await fetch('https://api.anthropic.com/v1/models', {
+                    headers: {
+                        'x-api-key': apiKey,
+                        'anthropic-version': LLM_CONFIG.ANTHROPIC_VERSION,
+                        'anthropic-dangerous-direct-browser-access': 'true'
+                    }
+                });
+                return response.ok;
+            } catch (error) {
+                console.error('Anthropic API test failed:', error);
+                return false;
+            }
         } else if (service === 'gpt') {
             // OpenAI key validation
             if (!apiKey.startsWith('sk-')) return false;
@@ -575,31 +1318,99 @@ Text to clean: {transcript}`,
         return false;
     }
 
-    updateStatus(service, status) {
-        const statusElement = this.elements[`${service}Status`];
-        if (!statusElement) return;
+    async validateLocalServer() {
+        const url = this.elements.localSttUrl?.value.trim();
+        if (!url) {
+            this.updateStatus('local', 'empty');
+            this.clearError('local');
+            return;
+        }
 
-        statusElement.className = `status-indicator status-indicator--${status}`;
-        
-        const symbols = {
-            empty: '○',
-            validating: '◐',
-            success: '●',
-            error: '●'
-        };
-        
-        statusElement.textContent = symbols[status] || '○';
-    }
+        try {
+            new URL(url);
+        } catch (error) {
+            this.updateStatus('local', 'error');
+            this.showError('local', 'Enter a full URL, e.g. http://localhost:8080/v1/audio/transcriptions');
+            return;
+        }
 
-    showError(service, message) {
-        const errorElement = this.elements[`${service}Error`];
-        if (errorElement) {
-            errorElement.textContent = message;
-            errorElement.style.display = 'block';
+        this.updateStatus('local', 'validating');
+
+        try {
+            // Any HTTP response means the server is up; a fetch rejection means it is not
+            await fetch(url, { method: 'OPTIONS' });
+            this.updateStatus('local', 'success');
+            this.clearError('local');
+        } catch (error) {
+            console.error('Self-hosted server check failed:', error);
+            this.updateStatus('local', 'error');
+            this.showError('local', 'Could not reach the server. Make sure it is running and allows requests from the extension.');
         }
     }
 
-    clearError(service) {
+    async validateLlmServer() {
+        const url = this.elements.llmBaseUrl?.value.trim();
+        if (!url) {
+            this.updateStatus('llmServer', 'empty');
+            this.clearError('llmServer');
+            return;
+        }
+
+        try {
+            new URL(url);
+        } catch (error) {
+            this.updateStatus('llmServer', 'error');
+            this.showError('llmServer', 'Enter a full URL, e.g. http://localhost:11434/v1');
+            return;
+        }
+
+        this.updateStatus('llmServer', 'validating');
+
+        try {
+            // OpenAI-compatible servers list their models here
+            const apiKey = this.elements.llmApiKey?.value.trim();
+            const client = new LLMClient();
+            const response = await fetch(`${client.normalizeBaseUrl(url)}/models`, {
+                headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}
+            });
+            this.updateStatus('llmServer', response.ok ? 'success' : 'error');
+            if (response.ok) {
+                this.clearError('llmServer');
+            } else {
+                this.showError('llmServer', `The server answered with HTTP ${response.status}. Check the URL and API key.`);
+            }
+        } catch (error) {
+            console.error('LLM server check failed:', error);
+            this.updateStatus('llmServer', 'error');
+            this.showError('llmServer', 'Could not reach the server. Make sure it is running and allows requests from the extension.');
+        }
+    }
+
+    updateStatus(service, status) {
+        const statusElement = this.elements[`${service}Status`];
+        if (!statusElement) return;
+
+        statusElement.className = `status-indicator status-indicator--${status}`;
+        
+        const symbols = {
+            empty: '○',
+            validating: '◐',
+            success: '●',
+            error: '●'
+        };
+        
+        statusElement.textContent = symbols[status] || '○';
+    }
+
+    showError(service, message) {
+        const errorElement = this.elements[`${service}Error`];
+        if (errorElement) {
+            errorElement.textContent = message;
+            errorElement.style.display = 'block';
+        }
+    }
+
+    clearError(service) {
         const errorElement = this.elements[`${service}Error`];
         if (errorElement) {
             errorElement.style.display = 'none';
@@ -607,6 +1418,610 @@ Text to clean: {transcript}`,
         }
     }
 
+    updateProviderFields(provider) {
+        // Only show the key fields for the selected speech-to-text provider
+        document.querySelectorAll('[data-stt-provider]').forEach(group => {
+            group.style.display = group.dataset.sttProvider === provider ? 'block' : 'none';
+        });
+    }
+
+    updateLlmBackendFields(backend) {
+        document.querySelectorAll('[data-llm-backend]').forEach(group => {
+            group.style.display = group.dataset.llmBackend === backend ? 'block' : 'none';
+        });
+        if (this.elements.llmModel) {
+            this.elements.llmModel.placeholder = LLM_CONFIG.DEFAULT_MODELS[backend] || '';
+        }
+    }
+
+    toggleStreaming() {
+        const isEnabled = this.elements.streamingToggle.getAttribute('aria-checked') === 'true';
+        const newState = !isEnabled;
+        
+        this.elements.streamingToggle.setAttribute('aria-checked', newState);
+        this.elements.streamingToggle.classList.toggle('active', newState);
+        this.toggleStreamingUrl(newState);
+    }
+
+    toggleStreamingUrl(show) {
+        if (this.elements.streamingUrlGroup) {
+            this.elements.streamingUrlGroup.style.display = show ? 'block' : 'none';
+        }
+    }
+
+    toggleSaveRecordings() {
+        const isEnabled = this.elements.saveRecordingsToggle.getAttribute('aria-checked') === 'true';
+        const newState = !isEnabled;
+        
+        this.elements.saveRecordingsToggle.setAttribute('aria-checked', newState);
+        this.elements.saveRecordingsToggle.classList.toggle('active', newState);
+    }
+
+    toggleStreamEnhancement() {
+        const isEnabled = this.elements.streamEnhancementToggle.getAttribute('aria-checked') === 'true';
+        const newState = !isEnabled;
+        
+        this.elements.streamEnhancementToggle.setAttribute('aria-checked', newState);
+        this.elements.streamEnhancementToggle.classList.toggle('active', newState);
+        this.toggleStreamEnhancementTarget(newState);
+    }
+
+    toggleStreamEnhancementTarget(show) {
+        if (this.elements.streamEnhancementTargetGroup) {
+            this.elements.streamEnhancementTargetGroup.style.display = show ? 'flex' : 'none';
+        }
+    }
+
+    toggleReviewEnhancement() {
+        const isEnabled = this.elements.reviewEnhancementToggle.getAttribute('aria-checked') === 'true';
+        const newState = !isEnabled;
+        
+        this.elements.reviewEnhancementToggle.setAttribute('aria-checked', newState);
+        this.elements.reviewEnhancementToggle.classList.toggle('active', newState);
+    }
+
+    toggleVoiceCommands() {
+        const isEnabled = this.elements.voiceCommandsToggle.getAttribute('aria-checked') === 'true';
+        const newState = !isEnabled;
+        
+        this.elements.voiceCommandsToggle.setAttribute('aria-checked', newState);
+        this.elements.voiceCommandsToggle.classList.toggle('active', newState);
+        this.toggleVoiceCommandsTable(newState);
+    }
+
+    toggleVoiceCommandsTable(show) {
+        if (this.elements.voiceCommandsGroup) {
+            this.elements.voiceCommandsGroup.style.display = show ? 'block' : 'none';
+        }
+    }
+
+    renderVoiceCommands() {
+        const list = this.elements.voiceCommandsList;
+        if (!list) return;
+        
+        list.innerHTML = `
+            <div class="voice-command-row header">
+                <span>Say</span>
+                <span>Output</span>
+                <span>Attach to</span>
+                <span>On</span>
+                <span></span>
+            </div>
+        `;
+        
+        this.voiceCommands.forEach(command => {
+            const row = document.createElement('div');
+            row.className = 'voice-command-row';
+            row.dataset.commandId = command.id;
+            
+            const outputCells = command.action === 'insert'
+                ? `
+                    <input type="text" class="form-input" data-field="text" autocomplete="off">
+                    <select class="form-input" data-field="spacing">
+                        <option value="left">Previous word</option>
+                        <option value="right">Next word</option>
+                        <option value="none">Nothing</option>
+                    </select>
+                `
+                : `<span class="voice-command-action">${VOICE_COMMAND_ACTION_LABELS[command.action] || command.action}</span>`;
+            
+            row.innerHTML = `
+                <input type="text" class="form-input" data-field="phrases" autocomplete="off" placeholder="e.g. smiley face">
+                ${outputCells}
+                <input type="checkbox" data-field="enabled" title="Enabled">
+                ${command.id.startsWith('custom-') ? `
+                    <button class="btn-ghost btn-small delete-voice-command" title="Delete command">
+                        <span class="material-icons">delete</span>
+                    </button>
+                ` : '<span></span>'}
+            `;
+            
+            // Values are set as properties so user text is never parsed as HTML
+            row.querySelector('[data-field="phrases"]').value = command.phrases.join(', ');
+            row.querySelector('[data-field="enabled"]').checked = command.enabled !== false;
+            if (command.action === 'insert') {
+                row.querySelector('[data-field="text"]').value = command.text.replace(/\n/g, '\\n');
+                row.querySelector('[data-field="spacing"]').value = command.spacing || 'none';
+            }
+            
+            list.appendChild(row);
+        });
+    }
+
+    updateVoiceCommand(input) {
+        const row = input.closest('.voice-command-row');
+        const command = row && this.voiceCommands.find(c => c.id === row.dataset.commandId);
+        if (!command) return;
+        
+        switch (input.dataset.field) {
+            case 'phrases':
+                command.phrases = input.value.split(',').map(p => p.trim()).filter(Boolean);
+                break;
+            case 'text':
+                command.text = input.value.replace(/\\n/g, '\n');
+                break;
+            case 'spacing':
+                command.spacing = input.value;
+                break;
+            case 'enabled':
+                command.enabled = input.checked;
+                break;
+        }
+    }
+
+    addVoiceCommand() {
+        this.voiceCommands.push({
+            id: `custom-${Date.now()}`,
+            phrases: [],
+            action: 'insert',
+            text: '',
+            spacing: 'none',
+            enabled: true
+        });
+        this.renderVoiceCommands();
+        
+        const rows = this.elements.voiceCommandsList.querySelectorAll('[data-field="phrases"]');
+        rows[rows.length - 1]?.focus();
+    }
+
+    deleteVoiceCommand(commandId) {
+        this.voiceCommands = this.voiceCommands.filter(command => command.id !== commandId);
+        this.renderVoiceCommands();
+    }
+
+    resetVoiceCommands() {
+        if (!confirm('Reset voice commands to the defaults? Custom commands will be removed.')) {
+            return;
+        }
+        this.voiceCommands = structuredClone(DEFAULT_VOICE_COMMANDS);
+        this.renderVoiceCommands();
+    }
+
+    renderVocabulary() {
+        const list = this.elements.vocabularyList;
+        if (!list) return;
+        
+        list.innerHTML = `
+            <div class="voice-command-row vocabulary-row header">
+                <span>Heard</span>
+                <span>Replace with</span>
+                <span>Match</span>
+                <span></span>
+            </div>
+        `;
+        
+        this.vocabulary.forEach(rule => {
+            const row = document.createElement('div');
+            row.className = 'voice-command-row vocabulary-row';
+            row.dataset.ruleId = rule.id;
+            row.innerHTML = `
+                <input type="text" class="form-input" data-field="match" autocomplete="off" placeholder="e.g. yapper">
+                <input type="text" class="form-input" data-field="replacement" autocomplete="off" placeholder="e.g. Yappr">
+                <select class="form-input" data-field="type">
+                    <option value="ignoreCase">Any case</option>
+                    <option value="exact">Exact case</option>
+                    <option value="regex">Regex</option>
+                </select>
+                <button class="btn-ghost btn-small delete-vocabulary-rule" title="Delete rule">
+                    <span class="material-icons">delete</span>
+                </button>
+            `;
+            
+            row.querySelector('[data-field="match"]').value = rule.match;
+            row.querySelector('[data-field="replacement"]').value = rule.replacement;
+            row.querySelector('[data-field="type"]').value = rule.type;
+            this.validateVocabularyRow(row, rule);
+            
+            list.appendChild(row);
+        });
+        
+        if (this.vocabulary.length === 0) {
+            list.insertAdjacentHTML('beforeend', '<div class="form-description">No rules yet</div>');
+        }
+    }
+
+    updateVocabularyRule(input) {
+        const row = input.closest('.vocabulary-row');
+        const rule = row && this.vocabulary.find(r => r.id === row.dataset.ruleId);
+        if (!rule || !input.dataset.field) return;
+        
+        rule[input.dataset.field] = input.value;
+        this.validateVocabularyRow(row, rule);
+    }
+
+    validateVocabularyRow(row, rule) {
+        let isValid = true;
+        if (rule.type === 'regex' && rule.match) {
+            try {
+                new RegExp(rule.match, 'gu');
+            } catch (error) {
+                isValid = false;
+            }
+        }
+        row.classList.toggle('invalid', !isValid);
+        row.title = isValid ? '' : 'Invalid regular expression - this rule will be skipped';
+    }
+
+    createVocabularyRule(match = '', replacement = '', type = 'ignoreCase') {
+        return {
+            id: `vocab-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`,
+            match,
+            replacement,
+            type: VOCABULARY_RULE_TYPES.includes(type) ? type : 'ignoreCase'
+        };
+    }
+
+    addVocabularyRule() {
+        this.vocabulary.push(this.createVocabularyRule());
+        this.renderVocabulary();
+        
+        const inputs = this.elements.vocabularyList.querySelectorAll('[data-field="match"]');
+        inputs[inputs.length - 1]?.focus();
+    }
+
+    deleteVocabularyRule(ruleId) {
+        this.vocabulary = this.vocabulary.filter(rule => rule.id !== ruleId);
+        this.renderVocabulary();
+    }
+
+    renderUsagePrices() {
+        const list = this.elements.usagePriceList;
+        if (list) {
+            list.innerHTML = `
+                <div class="voice-command-row usage-price-row header">
+                    <span>Model name starts with</span>
+                    <span>Input</span>
+                    <span>Output</span>
+                    <span></span>
+                </div>
+            `;
+            
+            this.usagePrices.models.forEach((price, index) => {
+                const row = document.createElement('div');
+                row.className = 'voice-command-row usage-price-row';
+                row.dataset.index = index;
+                row.innerHTML = `
+                    <input type="text" class="form-input" data-field="model" autocomplete="off" placeholder="e.g. gpt-4o-mini">
+                    <input type="number" class="form-input" data-field="input" min="0" step="0.01">
+                    <input type="number" class="form-input" data-field="output" min="0" step="0.01">
+                    <button class="btn-ghost btn-small delete-usage-price" title="Delete price">
+                        <span class="material-icons">delete</span>
+                    </button>
+                `;
+                row.querySelector('[data-field="model"]').value = price.model;
+                row.querySelector('[data-field="input"]').value = price.input;
+                row.querySelector('[data-field="output"]').value = price.output;
+                list.appendChild(row);
+            });
+            
+            if (this.usagePrices.models.length === 0) {
+                list.insertAdjacentHTML('beforeend', '<div class="form-description">No model prices - AI calls are logged without a cost</div>');
+            }
+        }
+        
+        const sttList = this.elements.usageSttPrices;
+        if (sttList) {
+            sttList.innerHTML = '';
+            Object.entries(USAGE_PROVIDER_LABELS.stt).forEach(([provider, label]) => {
+                const field = document.createElement('label');
+                field.className = 'form-description';
+                field.textContent = label;
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.className = 'form-input';
+                input.min = '0';
+                input.step = '0.0001';
+                input.dataset.provider = provider;
+                input.value = this.usagePrices.stt[provider] ?? '';
+                field.appendChild(input);
+                sttList.appendChild(field);
+            });
+        }
+    }
+
+    updateUsagePrice(input) {
+        const row = input.closest('.usage-price-row');
+        const price = row && this.usagePrices.models[parseInt(row.dataset.index, 10)];
+        if (!price || !input.dataset.field) return;
+        
+        price[input.dataset.field] = input.value;
+    }
+
+    addUsagePrice() {
+        this.usagePrices.models.push({ model: '', input: 0, output: 0 });
+        this.renderUsagePrices();
+        
+        const inputs = this.elements.usagePriceList.querySelectorAll('[data-field="model"]');
+        inputs[inputs.length - 1]?.focus();
+    }
+
+    deleteUsagePrice(index) {
+        this.usagePrices.models.splice(index, 1);
+        this.renderUsagePrices();
+    }
+
+    resetUsagePrices() {
+        this.usagePrices = structuredClone(DEFAULT_USAGE_PRICES);
+        this.renderUsagePrices();
+    }
+
+    /**
+     * Price table as saved: numbers only, rows without a model name dropped
+     */
+    getUsagePricesForSave() {
+        const toPrice = value => Math.max(parseFloat(value) || 0, 0);
+        const stt = {};
+        Object.entries(this.usagePrices.stt).forEach(([provider, price]) => {
+            stt[provider] = toPrice(price);
+        });
+        return {
+            models: this.usagePrices.models
+                .filter(price => String(price.model).trim())
+                .map(price => ({ model: String(price.model).trim(), input: toPrice(price.input), output: toPrice(price.output) })),
+            stt
+        };
+    }
+
+    renderSiteRules() {
+        const list = this.elements.siteRulesList;
+        if (!list) return;
+        
+        const presets = Object.values(this.presetsCache || {}).sort(comparePresets);
+        
+        list.innerHTML = `
+            <div class="voice-command-row site-rule-row header">
+                <span>URL pattern</span>
+                <span>Type</span>
+                <span>Field selector</span>
+                <span>Preset</span>
+                <span>Spoken in</span>
+                <span>Translate to</span>
+                <span></span>
+                <span></span>
+                <span></span>
+            </div>
+        `;
+        
+        this.siteRules.forEach((rule, index) => {
+            const row = document.createElement('div');
+            row.className = 'voice-command-row site-rule-row';
+            row.dataset.ruleId = rule.id;
+            row.innerHTML = `
+                <input type="text" class="form-input" data-field="pattern" autocomplete="off" placeholder="e.g. mail.google.com">
+                <select class="form-input" data-field="patternType">
+                    <option value="glob">Glob</option>
+                    <option value="regex">Regex</option>
+                </select>
+                <input type="text" class="form-input" data-field="selector" autocomplete="off" placeholder="Any field">
+                <select class="form-input" data-field="target">
+                    <option value="">No enhancement</option>
+                </select>
+                <select class="form-input" data-field="sttLanguage"></select>
+                <select class="form-input" data-field="translationTarget"></select>
+                <button class="btn-ghost btn-small move-site-rule" data-direction="-1" title="Move up" ${index === 0 ? 'disabled' : ''}>
+                    <span class="material-icons">arrow_upward</span>
+                </button>
+                <button class="btn-ghost btn-small move-site-rule" data-direction="1" title="Move down" ${index === this.siteRules.length - 1 ? 'disabled' : ''}>
+                    <span class="material-icons">arrow_downward</span>
+                </button>
+                <button class="btn-ghost btn-small delete-site-rule" title="Delete rule">
+                    <span class="material-icons">delete</span>
+                </button>
+            `;
+            
+            const target = row.querySelector('[data-field="target"]');
+            presets.forEach(preset => target.add(new Option(preset.enabled ? preset.name : `${preset.name} (disabled)`, preset.id)));
+            if (rule.action === 'preset' && !this.presetsCache?.[rule.presetId]) {
+                // Keep the rule pointing somewhere visible instead of silently switching it to "No enhancement"
+                target.add(new Option('Deleted preset', rule.presetId));
+            }
+            
+            addLanguageOptions(row.querySelector('[data-field="sttLanguage"]'), 'Detect');
+            addLanguageOptions(row.querySelector('[data-field="translationTarget"]'), "Don't translate");
+            row.querySelector('[data-field="sttLanguage"]').value = rule.sttLanguage;
+            row.querySelector('[data-field="translationTarget"]').value = rule.translation?.target || '';
+            
+            row.querySelector('[data-field="pattern"]').value = rule.pattern;
+            row.querySelector('[data-field="patternType"]').value = rule.patternType;
+            row.querySelector('[data-field="selector"]').value = rule.selector;
+            target.value = rule.action === 'preset' ? rule.presetId : '';
+            this.validateSiteRuleRow(row, rule);
+            
+            list.appendChild(row);
+        });
+        
+        if (this.siteRules.length === 0) {
+            list.insertAdjacentHTML('beforeend', '<div class="form-description">No rules yet - the popup selection is used everywhere</div>');
+        }
+    }
+
+    updateSiteRule(input) {
+        const row = input.closest('.site-rule-row');
+        const rule = row && this.siteRules.find(r => r.id === row.dataset.ruleId);
+        if (!rule || !input.dataset.field) return;
+        
+        if (input.dataset.field === 'target') {
+            rule.action = input.value ? 'preset' : 'none';
+            rule.presetId = input.value || null;
+        } else if (input.dataset.field === 'sttLanguage' || input.dataset.field === 'translationTarget') {
+            // The spoken language is sent to the STT provider and used as the translation source
+            rule.sttLanguage = row.querySelector('[data-field="sttLanguage"]').value;
+            const target = row.querySelector('[data-field="translationTarget"]').value;
+            rule.translation = target ? { source: rule.sttLanguage, target } : null;
+        } else {
+            rule[input.dataset.field] = input.value;
+        }
+        this.validateSiteRuleRow(row, rule);
+    }
+
+    validateSiteRuleRow(row, rule) {
+        let isValidPattern = true;
+        if (rule.patternType === 'regex' && rule.pattern) {
+            try {
+                new RegExp(rule.pattern, 'i');
+            } catch (error) {
+                isValidPattern = false;
+            }
+        }
+        
+        let isValidSelector = true;
+        if (rule.selector.trim()) {
+            try {
+                document.createDocumentFragment().querySelector(rule.selector);
+            } catch (error) {
+                isValidSelector = false;
+            }
+        }
+        
+        row.classList.toggle('invalid', !isValidPattern);
+        row.classList.toggle('invalid-selector', !isValidSelector);
+        row.title = !isValidPattern
+            ? 'Invalid regular expression - this rule will be skipped'
+            : !isValidSelector ? 'Invalid CSS selector - this rule will never match' : '';
+    }
+
+    addSiteRule() {
+        this.siteRules.push({
+            id: `rule-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`,
+            pattern: '',
+            patternType: 'glob',
+            selector: '',
+            action: 'none',
+            presetId: null,
+            sttLanguage: '',
+            translation: null
+        });
+        this.renderSiteRules();
+        
+        const inputs = this.elements.siteRulesList.querySelectorAll('[data-field="pattern"]');
+        inputs[inputs.length - 1]?.focus();
+    }
+
+    moveSiteRule(ruleId, direction) {
+        const index = this.siteRules.findIndex(rule => rule.id === ruleId);
+        const target = index + direction;
+        if (index === -1 || target < 0 || target >= this.siteRules.length) return;
+        
+        [this.siteRules[index], this.siteRules[target]] = [this.siteRules[target], this.siteRules[index]];
+        this.renderSiteRules();
+    }
+
+    deleteSiteRule(ruleId) {
+        this.siteRules = this.siteRules.filter(rule => rule.id !== ruleId);
+        this.renderSiteRules();
+    }
+
+    async importVocabulary(file) {
+        if (!file) return;
+        
+        try {
+            const rows = this.parseCsv(await file.text());
+            // Skip a header row if the file has one
+            if (rows.length > 0 && rows[0][0]?.trim().toLowerCase() === 'match') {
+                rows.shift();
+            }
+            
+            const imported = rows
+                .filter(row => row[0] && row[0].trim())
+                .map(([match, replacement = '', type]) => this.createVocabularyRule(match.trim(), replacement.trim(), (type || '').trim()));
+            
+            // Imported rules replace existing ones with the same match and type
+            const key = rule => `${rule.type}:${rule.match.toLowerCase()}`;
+            const importedKeys = new Set(imported.map(key));
+            this.vocabulary = [...this.vocabulary.filter(rule => !importedKeys.has(key(rule))), ...imported];
+            
+            this.renderVocabulary();
+            this.showSuccessMessage(`Imported ${imported.length} vocabulary rule${imported.length === 1 ? '' : 's'} - save to apply`);
+        } catch (error) {
+            console.error('❌ Error importing vocabulary:', error);
+            this.showSuccessMessage('Could not read that CSV file.', true);
+        } finally {
+            this.elements.vocabularyFileInput.value = '';
+        }
+    }
+
+    exportVocabulary() {
+        const escape = value => /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+        const lines = [
+            'match,replacement,type',
+            ...this.vocabulary
+                .filter(rule => rule.match)
+                .map(rule => [rule.match, rule.replacement, rule.type].map(escape).join(','))
+        ];
+        
+        const blob = new Blob([lines.join('\n')], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'yappr-vocabulary.csv';
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Minimal RFC 4180 parser: quoted fields, doubled quotes, CRLF
+     */
+    parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows;
+    }
+
     toggleCleanup() {
         const isEnabled = this.elements.enableCleanup.getAttribute('aria-checked') === 'true';
         const newState = !isEnabled;
@@ -647,9 +2062,25 @@ Text to clean: {transcript}`,
             tests.push(this.validateKey('elevenlabs'));
         }
         
+        if (this.elements.deepgramApiKey?.value.trim()) {
+            tests.push(this.validateKey('deepgram'));
+        }
+        
+        if (this.elements.localSttUrl?.value.trim()) {
+            tests.push(this.validateLocalServer());
+        }
+        
         if (this.elements.gptApiKey?.value.trim()) {
             tests.push(this.validateKey('gpt'));
         }
+        
+        if (this.elements.anthropicApiKey?.value.trim()) {
+            tests.push(this.validateKey('anthropic'));
+        }
+        
+        if (this.elements.llmBaseUrl?.value.trim()) {
+            tests.push(this.validateLlmServer());
+        }
 
         try {
             await Promise.all(tests);
@@ -688,20 +2119,23 @@ Text to clean: {transcript}`,
                     this.deletePreset(presetId);
                 }
             }
+            
+            // Duplicate preset button
+            const duplicateBtn = e.target.closest('.duplicate-preset-btn');
+            if (duplicateBtn && duplicateBtn.dataset.presetId) {
+                this.duplicatePreset(duplicateBtn.dataset.presetId);
+            }
+            
+            // Reorder buttons
+            const moveBtn = e.target.closest('.move-preset-btn');
+            if (moveBtn && moveBtn.dataset.presetId && !moveBtn.disabled) {
+                this.movePreset(moveBtn.dataset.presetId, Number(moveBtn.dataset.direction));
+            }
         });
     }
 
     async showAddPresetDialog() {
         try {
-            // Check if user can add more presets (max 2 custom presets)
-            const { presets = {} } = await chrome.storage.sync.get(['presets']);
-            const customPresets = Object.values(presets).filter(preset => !preset.isSystem);
-            
-            if (customPresets.length >= 2) {
-                alert('Maximum of 2 custom presets allowed. Delete an existing custom preset to add a new one.');
-                return;
-            }
-            
             // Open modal for creating new preset
             this.currentEditingPreset = null; // null = new preset
             
@@ -717,6 +2151,22 @@ Text to clean: {transcript}`,
                 this.elements.presetDomains.parentElement.style.display = 'none';
             }
             
+            if (this.elements.presetModel) {
+                this.elements.presetModel.value = '';
+            }
+            
+            if (this.elements.presetCategory) {
+                this.elements.presetCategory.value = this.elements.presetCategoryFilter?.value || '';
+            }
+            
+            if (this.elements.presetIcon) {
+                this.elements.presetIcon.value = 'auto_fix_high';
+            }
+            
+            this.setPresetTranslation(null);
+            this.setPresetVariants(null);
+            this.setPresetOutput(null);
+            
             if (this.elements.presetPrompt) {
                 this.elements.presetPrompt.value = '';
                 this.elements.presetPrompt.placeholder = 'Enter your enhancement prompt here...\n\nExample: Transform this transcript into engaging social media content with:\n- Clear, concise language\n- Relevant hashtags\n- Call to action\n\nOriginal transcript: {transcript}';
@@ -728,13 +2178,29 @@ Text to clean: {transcript}`,
                 this.elements.presetEnabledToggle.classList.add('active');
             }
             
+            if (this.elements.presetVoiceCommandsToggle) {
+                this.elements.presetVoiceCommandsToggle.setAttribute('aria-checked', 'true');
+                this.elements.presetVoiceCommandsToggle.classList.add('active');
+            }
+            
             // Update modal title
             const title = document.getElementById('presetEditorTitle');
             if (title) {
                 title.textContent = 'Create New Preset';
             }
             
+            // New presets start as a single prompt
+            this.editingPipeline = [];
+            this.editingSamples = [];
+            this.renderPresetSamples();
+            this.renderPresetVersions(null);
+            if (this.elements.presetTypeField) {
+                this.elements.presetTypeField.style.display = 'block';
+            }
+            this.setPresetType('prompt');
+            
             this.updateCharacterCounter();
+            this.validatePresetPrompt();
             
             // Show modal
             if (this.elements.presetEditorModal) {
@@ -756,7 +2222,8 @@ Text to clean: {transcript}`,
     async testCurrentPreset() {
         try {
             // Get currently selected preset
-            const { selectedPresetId, presets } = await chrome.storage.sync.get(['selectedPresetId', 'presets']);
+            const { selectedPresetId } = await chrome.storage.sync.get(['selectedPresetId']);
+            const presets = await this.getPresets();
             
             if (!selectedPresetId || !presets || !presets[selectedPresetId]) {
                 alert('No preset selected. Please select a preset in the popup first.');
@@ -771,8 +2238,8 @@ Text to clean: {transcript}`,
                 this.elements.testResults.style.display = 'block';
                 this.elements.testResults.innerHTML = `
                     <div class="test-result-item">
-                        <div class="test-result-label">Selected Preset: ${preset.name}</div>
-                        <div class="test-result-content">${preset.prompt}</div>
+                        <div class="test-result-label">Selected Preset: ${this.escapeHtml(preset.name)}</div>
+                        <div class="test-result-content">${isPipelinePreset(preset) ? `Pipeline: ${this.escapeHtml(this.getPipelineSummary(preset))}` : this.escapeHtml(preset.prompt)}</div>
                     </div>
                     <div class="test-result-item">
                         <div class="test-result-label">Sample Input</div>
@@ -785,11 +2252,192 @@ Text to clean: {transcript}`,
                 `;
             }
             
-            console.log('🧪 Preset test completed:', { presetId: selectedPresetId, presetName: preset.name });
+            console.log('🧪 Preset test completed:', { presetId: selectedPresetId, presetName: preset.name });
+            
+        } catch (error) {
+            console.error('❌ Error testing preset:', error);
+            alert('Error testing preset. Please try again.');
+        }
+    }
+
+    /**
+     * Re-enhance every saved sample of every prompt preset, one request at a time,
+     * and show each new output next to the last accepted one
+     */
+    async runPresetBench() {
+        if (this.benchRunning) return;
+        
+        const presets = Object.values(await this.getPresets())
+            .filter(preset => !isPipelinePreset(preset) && (preset.samples || []).length > 0)
+            .sort(comparePresets);
+        const jobs = presets.flatMap(preset => preset.samples.map(sample => ({ preset, sample })));
+        
+        if (jobs.length === 0) {
+            this.showSuccessMessage('No samples yet. Add sample transcripts in the preset editor first.', true);
+            return;
+        }
+        
+        const client = new LLMClient();
+        if (!(await client.isConfigured())) {
+            this.showSuccessMessage('Set up an AI backend before running the samples.', true);
+            return;
+        }
+        
+        this.benchRunning = true;
+        this.benchResults = [];
+        const button = this.elements.runPresetBenchBtn;
+        button.disabled = true;
+        
+        try {
+            for (const [index, { preset, sample }] of jobs.entries()) {
+                button.innerHTML = `<span class="material-icons">hourglass_top</span> Running ${index + 1}/${jobs.length}...`;
+                
+                const result = { presetId: preset.id, presetName: preset.name, sample, output: null, error: null, flags: [] };
+                try {
+                    result.output = await this.enhanceBenchSample(client, preset, sample.transcript);
+                    result.flags = this.getBenchFlags(result.output, sample);
+                } catch (error) {
+                    console.error(`❌ Bench sample failed for ${preset.name}:`, error);
+                    result.error = error.message;
+                }
+                this.benchResults.push(result);
+                this.renderBenchResults();
+            }
+            
+            const flagged = this.benchResults.filter(result => result.error || result.flags.length > 0).length;
+            console.log(`🧪 Preset bench finished: ${jobs.length} samples, ${flagged} flagged`);
+        } finally {
+            this.benchRunning = false;
+            button.disabled = false;
+            button.innerHTML = '<span class="material-icons">fact_check</span> Run all samples';
+        }
+    }
+
+    /**
+     * Enhance one sample the way the content script would. Page variables are
+     * empty and {?prompted} ones are left blank.
+     */
+    async enhanceBenchSample(client, preset, transcript) {
+        const engine = new TemplateEngine();
+        const now = new Date();
+        const prompted = Object.fromEntries(engine.extractPromptedVariables(preset.prompt).map(name => [name, '']));
+        const context = {
+            ...prompted,
+            date: now.toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' }),
+            time: now.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' }),
+            user_name: this.elements.userName?.value.trim() || ''
+        };
+        const rendered = engine.render(preset.prompt, { ...context, transcript, raw_transcript: transcript });
+        if (!rendered.success) {
+            throw new Error(rendered.error);
+        }
+        
+        // Structured presets are checked against their fields, as when dictating
+        const structuredOutput = isStructuredPreset(preset) ? new StructuredOutput() : null;
+        const { text } = await client.complete({
+            system: ENHANCEMENT_SYSTEM_PROMPT,
+            prompt: structuredOutput ? rendered.result + structuredOutput.buildInstructions(preset.output) : rendered.result,
+            model: preset.model,
+            maxTokens: 1000,
+            temperature: 0.7,
+            openAIOptions: {
+                presence_penalty: 0.1,
+                frequency_penalty: 0.1
+            },
+            usage: { purpose: 'bench', presetId: preset.id, presetName: preset.name }
+        });
+        return structuredOutput
+            ? structuredOutput.format(structuredOutput.parse(text, preset.output), preset.output, context)
+            : text;
+    }
+
+    /**
+     * Signs that a prompt change made a preset worse: much shorter than the
+     * accepted output, markdown the accepted output (or transcript) didn't have,
+     * or a reply to the dictated question instead of a rewrite of it
+     */
+    getBenchFlags(output, sample) {
+        const flags = [];
+        const baseline = sample.accepted || sample.transcript;
+        
+        if (sample.accepted && output.length < sample.accepted.length * PRESET_BENCH.SHORTER_RATIO) {
+            flags.push(`Much shorter (${Math.round(output.length / sample.accepted.length * 100)}% of accepted)`);
+        }
+        if (PRESET_BENCH.MARKDOWN_PATTERN.test(output) && !PRESET_BENCH.MARKDOWN_PATTERN.test(baseline)) {
+            flags.push('Added markdown');
+        }
+        if (PRESET_BENCH.QUESTION_PATTERN.test(sample.transcript)) {
+            const questionDropped = sample.transcript.includes('?') && baseline.includes('?') && !output.includes('?');
+            if (PRESET_BENCH.ANSWER_PATTERN.test(output.trim()) || questionDropped) {
+                flags.push('Answered instead of reformatting');
+            }
+        }
+        return flags;
+    }
+
+    renderBenchResults() {
+        const container = this.elements.presetBenchResults;
+        if (!container) return;
+        
+        container.style.display = 'block';
+        container.innerHTML = this.benchResults.map((result, index) => {
+            const accepted = result.sample.accepted;
+            const isAccepted = result.output !== null && result.output === accepted;
+            const flags = result.error
+                ? `<span class="bench-flag">Failed: ${this.escapeHtml(result.error)}</span>`
+                : result.flags.map(flag => `<span class="bench-flag">${this.escapeHtml(flag)}</span>`).join('');
+            
+            return `
+                <div class="test-result-item bench-result">
+                    <div class="test-result-label">
+                        ${this.escapeHtml(result.presetName)}
+                        <span class="bench-transcript">“${this.escapeHtml(result.sample.transcript.substring(0, 80))}${result.sample.transcript.length > 80 ? '…' : ''}”</span>
+                    </div>
+                    <div class="bench-flags">${flags || (result.output !== null ? '<span class="bench-flag ok">No issues found</span>' : '')}</div>
+                    <div class="bench-columns">
+                        <div>
+                            <div class="bench-column-label">Last accepted</div>
+                            <div class="test-result-content">${accepted ? this.escapeHtml(accepted) : '<em>Nothing accepted yet</em>'}</div>
+                        </div>
+                        <div>
+                            <div class="bench-column-label">New output</div>
+                            <div class="test-result-content">${result.output !== null ? this.escapeHtml(result.output) : '—'}</div>
+                        </div>
+                    </div>
+                    ${result.output !== null ? `
+                        <button class="btn-ghost btn-small accept-bench-output" data-index="${index}" ${isAccepted ? 'disabled' : ''}>
+                            <span class="material-icons">${isAccepted ? 'check_circle' : 'check'}</span>
+                            ${isAccepted ? 'Accepted' : 'Accept new output'}
+                        </button>` : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Make a bench output the one later runs are compared with
+     */
+    async acceptBenchOutput(index) {
+        const result = this.benchResults[index];
+        if (!result || result.output === null) return;
+        
+        try {
+            const presets = await this.getPresets();
+            const sample = presets[result.presetId]?.samples?.find(item => item.id === result.sample.id);
+            if (!sample) {
+                this.showSuccessMessage('This sample was removed from the preset.', true);
+                return;
+            }
+            
+            sample.accepted = result.output;
+            sample.acceptedAt = new Date().toISOString();
+            await this.savePresets(presets);
             
+            result.sample = { ...sample };
+            this.renderBenchResults();
         } catch (error) {
-            console.error('❌ Error testing preset:', error);
-            alert('Error testing preset. Please try again.');
+            console.error('❌ Error accepting bench output:', error);
+            this.showSuccessMessage('Error saving the accepted output. Please try again.', true);
         }
     }
 
@@ -798,7 +2446,7 @@ Text to clean: {transcript}`,
             console.log('🔄 Toggling preset enabled:', presetId);
             
             // Get current presets from storage
-            const { presets = {} } = await chrome.storage.sync.get(['presets']);
+            const presets = await this.getPresets();
             
             if (!presets[presetId]) {
                 console.error('Preset not found:', presetId);
@@ -809,7 +2457,7 @@ Text to clean: {transcript}`,
             presets[presetId].enabled = !presets[presetId].enabled;
             
             // Save back to storage
-            await chrome.storage.sync.set({ presets });
+            await this.savePresets(presets);
             
             console.log(`✅ Preset ${presetId} ${presets[presetId].enabled ? 'enabled' : 'disabled'}`);
             
@@ -826,7 +2474,7 @@ Text to clean: {transcript}`,
             console.log('✏️ Editing preset:', presetId);
             
             // Get preset data from storage
-            const { presets = {} } = await chrome.storage.sync.get(['presets']);
+            const presets = await this.getPresets();
             const preset = presets[presetId];
             
             if (!preset) {
@@ -858,26 +2506,61 @@ Text to clean: {transcript}`,
                 this.elements.presetPrompt.value = preset.prompt || '';
             }
             
+            if (this.elements.presetModel) {
+                this.elements.presetModel.value = preset.model || '';
+            }
+            
+            if (this.elements.presetCategory) {
+                this.elements.presetCategory.value = preset.category || '';
+            }
+            
+            if (this.elements.presetIcon) {
+                this.elements.presetIcon.value = this.getPresetIcon(preset);
+            }
+            
+            this.setPresetTranslation(preset.translation);
+            this.setPresetVariants(preset.variants);
+            this.setPresetOutput(preset.output);
+            
             // Set enabled state
             if (this.elements.presetEnabledToggle) {
                 this.elements.presetEnabledToggle.setAttribute('aria-checked', preset.enabled);
                 this.elements.presetEnabledToggle.classList.toggle('active', preset.enabled);
             }
             
+            // Voice commands are on unless the preset opted out
+            if (this.elements.presetVoiceCommandsToggle) {
+                const voiceCommands = preset.voiceCommands !== false;
+                this.elements.presetVoiceCommandsToggle.setAttribute('aria-checked', voiceCommands);
+                this.elements.presetVoiceCommandsToggle.classList.toggle('active', voiceCommands);
+            }
+            
             // Update modal title
             const title = document.getElementById('presetEditorTitle');
             if (title) {
                 title.textContent = `Edit ${preset.name} Preset`;
             }
             
+            this.editingSamples = (preset.samples || []).map(sample => ({ ...sample }));
+            this.renderPresetSamples();
+            this.renderPresetVersions(preset);
+            
+            // System presets always stay single prompts
+            this.editingPipeline = (preset.pipeline || []).map(step => ({ ...step }));
+            if (this.elements.presetTypeField) {
+                this.elements.presetTypeField.style.display = preset.isSystem ? 'none' : 'block';
+            }
+            this.setPresetType(isPipelinePreset(preset) ? 'pipeline' : 'prompt');
+            
             this.updateCharacterCounter();
+            this.validatePresetPrompt();
             
             // Show modal
             if (this.elements.presetEditorModal) {
                 this.elements.presetEditorModal.style.display = 'flex';
                 // Focus on prompt textarea after modal opens
                 setTimeout(() => {
-                    if (this.elements.presetPrompt) {
+                    if (this.elements.presetPrompt && !isPipelinePreset(preset)) {
                         this.elements.presetPrompt.focus();
                     }
                 }, 100);
@@ -894,7 +2577,7 @@ Text to clean: {transcript}`,
             console.log('🗑️ Deleting preset:', presetId);
             
             // Get preset data from storage
-            const { presets = {} } = await chrome.storage.sync.get(['presets']);
+            const presets = await this.getPresets();
             const preset = presets[presetId];
             
             if (!preset) {
@@ -917,7 +2600,7 @@ Text to clean: {transcript}`,
             
             // Remove preset from storage
             delete presets[presetId];
-            await chrome.storage.sync.set({ presets });
+            await this.savePresets(presets);
             
             // If this was the selected preset, clear the selection
             const { selectedPresetId } = await chrome.storage.sync.get(['selectedPresetId']);
@@ -936,6 +2619,251 @@ Text to clean: {transcript}`,
         }
     }
 
+    getNextPresetOrder(presets) {
+        const orders = Object.values(presets)
+            .map(preset => preset.order)
+            .filter(order => typeof order === 'number');
+        return orders.length > 0 ? Math.max(...orders) + 1 : Object.keys(presets).length;
+    }
+
+    createPresetId() {
+        return `custom-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`;
+    }
+
+    /**
+     * Swap a preset with its neighbour and renumber the whole list
+     */
+    async movePreset(presetId, direction) {
+        try {
+            const presets = await this.getPresets();
+            const ordered = Object.values(presets).sort(comparePresets);
+            const index = ordered.findIndex(preset => preset.id === presetId);
+            const target = index + direction;
+            if (index === -1 || target < 0 || target >= ordered.length) return;
+            
+            [ordered[index], ordered[target]] = [ordered[target], ordered[index]];
+            ordered.forEach((preset, i) => { presets[preset.id].order = i; });
+            
+            await this.savePresets(presets);
+        } catch (error) {
+            console.error('❌ Error reordering presets:', error);
+            this.showSuccessMessage('Error reordering presets. Please try again.', true);
+        }
+    }
+
+    /**
+     * Copy any preset (including system ones) into a new editable custom preset
+     */
+    async duplicatePreset(presetId) {
+        try {
+            const presets = await this.getPresets();
+            const source = presets[presetId];
+            if (!source) {
+                alert('Preset not found.');
+                return;
+            }
+            
+            const names = new Set(Object.values(presets).map(preset => preset.name.toLowerCase()));
+            let name = `${source.name} (copy)`;
+            for (let n = 2; names.has(name.toLowerCase()); n++) {
+                name = `${source.name} (copy ${n})`;
+            }
+            
+            const newId = this.createPresetId();
+            const copy = {
+                id: newId,
+                name,
+                prompt: source.prompt,
+                pipeline: (source.pipeline || []).map(step => ({ ...step })),
+                translation: source.translation || null,
+                variants: source.variants || null,
+                output: source.output || null,
+                // Same prompt, so the accepted outputs still apply
+                samples: (source.samples || []).map(sample => ({ ...sample, id: this.createSampleId() })),
+                isSystem: false,
+                enabled: true,
+                voiceCommands: source.voiceCommands,
+                model: source.model || '',
+                category: source.category || '',
+                icon: this.getPresetIcon(source),
+                usageCount: 0,
+                createdAt: new Date().toISOString(),
+                lastUsed: null
+            };
+            
+            // Place the copy right after its source
+            const ordered = Object.values(presets).sort(comparePresets);
+            ordered.splice(ordered.findIndex(preset => preset.id === presetId) + 1, 0, copy);
+            presets[newId] = copy;
+            ordered.forEach((preset, i) => { presets[preset.id].order = i; });
+            
+            await this.savePresets(presets);
+            this.showSuccessMessage(`Created "${name}"`);
+            await this.editPreset(newId);
+        } catch (error) {
+            console.error('❌ Error duplicating preset:', error);
+            alert('Error duplicating preset. Please try again.');
+        }
+    }
+
+    async exportPresets() {
+        try {
+            const presets = await this.getPresets();
+            const bundle = {
+                type: PRESET_BUNDLE_TYPE,
+                version: 1,
+                exportedAt: new Date().toISOString(),
+                presets: Object.values(presets)
+                    .filter(preset => !preset.isSystem)
+                    .sort(comparePresets)
+                    .map(preset => ({
+                        name: preset.name,
+                        prompt: preset.prompt,
+                        // Preset IDs differ between installs, so steps refer to presets by name
+                        pipeline: (preset.pipeline || []).map(step => step.type === 'local'
+                            ? { type: 'local', action: step.action }
+                            : { type: 'preset', presetName: presets[step.presetId]?.name || '' }),
+                        translation: preset.translation || null,
+                        variants: preset.variants || null,
+                        output: preset.output || null,
+                        samples: (preset.samples || []).map(sample => ({
+                            transcript: sample.transcript,
+                            accepted: sample.accepted || null
+                        })),
+                        category: preset.category || '',
+                        icon: this.getPresetIcon(preset),
+                        model: preset.model || '',
+                        voiceCommands: preset.voiceCommands !== false
+                    }))
+            };
+            
+            if (bundle.presets.length === 0) {
+                this.showSuccessMessage('No custom presets to export. Duplicate or add one first.', true);
+                return;
+            }
+            
+            const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = 'yappr-presets.json';
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('❌ Error exporting presets:', error);
+            this.showSuccessMessage('Error exporting presets. Please try again.', true);
+        }
+    }
+
+    /**
+     * Import a preset bundle. Custom presets with the same name are updated,
+     * everything else is added at the end of the list.
+     */
+    async importPresets(file) {
+        if (!file) return;
+        
+        try {
+            const bundle = JSON.parse(await file.text());
+            if (bundle?.type !== PRESET_BUNDLE_TYPE || !Array.isArray(bundle.presets)) {
+                throw new Error('Not a Yappr preset bundle');
+            }
+            
+            const presets = await this.getPresets();
+            let added = 0;
+            let updated = 0;
+            let skipped = 0;
+            const importedPipelines = [];
+            
+            for (const entry of bundle.presets) {
+                const name = typeof entry?.name === 'string' ? entry.name.trim() : '';
+                const prompt = typeof entry?.prompt === 'string' ? entry.prompt.trim() : '';
+                const pipeline = Array.isArray(entry?.pipeline) ? entry.pipeline : [];
+                if (!name || (!prompt && pipeline.length === 0)) {
+                    skipped++;
+                    continue;
+                }
+                
+                const fields = {
+                    name,
+                    prompt,
+                    pipeline: [],
+                    translation: entry.translation?.target in LANGUAGES
+                        ? { source: entry.translation.source in LANGUAGES ? entry.translation.source : '', target: entry.translation.target }
+                        : null,
+                    variants: this.normalizePresetVariants(entry.variants),
+                    output: this.normalizeImportedOutput(entry.output),
+                    category: typeof entry.category === 'string' ? entry.category.trim() : '',
+                    icon: typeof entry.icon === 'string' && PRESET_ICON_PATTERN.test(entry.icon) ? entry.icon : 'auto_fix_high',
+                    model: typeof entry.model === 'string' ? entry.model.trim() : '',
+                    voiceCommands: entry.voiceCommands !== false
+                };
+                
+                // Bundles without samples keep the ones already saved here
+                const samples = Array.isArray(entry.samples) ? this.normalizePresetSamples(entry.samples) : null;
+                
+                const existing = Object.values(presets).find(preset =>
+                    preset.name.toLowerCase() === name.toLowerCase()
+                );
+                
+                if (existing && existing.isSystem) {
+                    // Never overwrite built-in presets
+                    skipped++;
+                } else if (existing) {
+                    presets[existing.id] = { ...existing, ...fields, ...(samples ? { samples } : {}) };
+                    importedPipelines.push({ presetId: existing.id, steps: pipeline, previous: existing });
+                    updated++;
+                } else {
+                    const presetId = this.createPresetId();
+                    presets[presetId] = {
+                        id: presetId,
+                        ...fields,
+                        samples: samples || [],
+                        isSystem: false,
+                        enabled: true,
+                        order: this.getNextPresetOrder(presets),
+                        usageCount: 0,
+                        createdAt: new Date().toISOString(),
+                        lastUsed: null
+                    };
+                    importedPipelines.push({ presetId, steps: pipeline });
+                    added++;
+                }
+            }
+            
+            // Steps name their presets; resolve them once every imported preset exists.
+            // Unknown names are kept as a missing preset so the editor flags them.
+            importedPipelines.forEach(({ presetId, steps }) => {
+                presets[presetId].pipeline = steps
+                    .filter(step => step?.type === 'preset' || (step?.type === 'local' && step.action in PIPELINE_LOCAL_STEPS))
+                    .map(step => {
+                        if (step.type === 'local') return { type: 'local', action: step.action };
+                        const target = Object.values(presets).find(preset =>
+                            preset.name.toLowerCase() === String(step.presetName || '').toLowerCase()
+                        );
+                        return { type: 'preset', presetId: target ? target.id : '' };
+                    });
+            });
+            importedPipelines
+                .filter(({ previous }) => previous)
+                .forEach(({ presetId, previous }) => {
+                    presets[presetId] = this.withPresetVersion(previous, presets[presetId], 'Imported from a preset bundle');
+                });
+            
+            await this.savePresets(presets);
+            
+            const parts = [`${added} added`, `${updated} updated`];
+            if (skipped > 0) parts.push(`${skipped} skipped`);
+            this.showSuccessMessage(`Imported presets: ${parts.join(', ')}`);
+        } catch (error) {
+            console.error('❌ Error importing presets:', error);
+            this.showSuccessMessage('Could not read that preset file.', true);
+        } finally {
+            this.elements.presetsFileInput.value = '';
+        }
+    }
+
     async saveSettings() {
         try {
             console.log('💾 Saving settings...');
@@ -943,7 +2871,40 @@ Text to clean: {transcript}`,
             const settingsData = {
                 // API Keys
                 elevenlabsApiKey: this.elements.elevenlabsApiKey?.value.trim() || '',
+                deepgramApiKey: this.elements.deepgramApiKey?.value.trim() || '',
+                sttProvider: document.querySelector('input[name="sttProvider"]:checked')?.value || 'elevenlabs',
+                localSttUrl: this.elements.localSttUrl?.value.trim() || '',
+                localSttModel: this.elements.localSttModel?.value.trim() || '',
+                localSttAuthHeader: this.elements.localSttAuthHeader?.value.trim() || '',
+                sttLanguage: this.elements.sttLanguage?.value || '',
+                streamingEnabled: this.elements.streamingToggle?.getAttribute('aria-checked') === 'true',
+                streamingUrl: this.elements.streamingUrl?.value.trim() || '',
+                saveRecordings: this.elements.saveRecordingsToggle?.getAttribute('aria-checked') === 'true',
+                voiceCommandsEnabled: this.elements.voiceCommandsToggle?.getAttribute('aria-checked') === 'true',
+                // Commands without a phrase would never match
+                voiceCommands: this.voiceCommands.filter(command => command.phrases.length > 0),
+                // Order is priority: the first matching rule wins
+                siteRules: this.siteRules
+                    .filter(rule => rule.pattern.trim())
+                    .map(rule => ({ ...rule, pattern: rule.pattern.trim(), selector: rule.selector.trim() })),
+                userName: this.elements.userName?.value.trim() || '',
+                enhancementChunkMode: document.querySelector('input[name="enhancementChunkMode"]:checked')?.value || 'sequential',
+                streamEnhancement: this.elements.streamEnhancementToggle?.getAttribute('aria-checked') === 'true',
+                streamEnhancementTarget: document.querySelector('input[name="streamEnhancementTarget"]:checked')?.value || 'field',
+                reviewEnhancement: this.elements.reviewEnhancementToggle?.getAttribute('aria-checked') === 'true',
+                // 0 means no cap
+                usageBudgets: {
+                    daily: Math.max(parseFloat(this.elements.usageDailyBudget?.value) || 0, 0),
+                    monthly: Math.max(parseFloat(this.elements.usageMonthlyBudget?.value) || 0, 0),
+                    mode: document.querySelector('input[name="usageBudgetMode"]:checked')?.value || 'warn'
+                },
+                usagePrices: this.getUsagePricesForSave(),
                 gptApiKey: this.elements.gptApiKey?.value.trim() || '',
+                llmBackend: document.querySelector('input[name="llmBackend"]:checked')?.value || LLM_BACKENDS.OPENAI,
+                llmModel: this.elements.llmModel?.value.trim() || '',
+                llmBaseUrl: this.elements.llmBaseUrl?.value.trim() || '',
+                llmApiKey: this.elements.llmApiKey?.value.trim() || '',
+                anthropicApiKey: this.elements.anthropicApiKey?.value.trim() || '',
                 
                 // Note: cleanup and analysis settings removed - now handled by presets
                 
@@ -955,6 +2916,11 @@ Text to clean: {transcript}`,
             };
 
             await chrome.storage.sync.set(settingsData);
+            await chrome.storage.local.set({
+                vocabulary: this.vocabulary
+                    .filter(rule => rule.match.trim())
+                    .map(({ id, match, replacement, type }) => ({ id, match: match.trim(), replacement, type }))
+            });
             console.log('✅ Settings saved successfully');
             this.showSuccessMessage('Settings saved successfully!');
             
@@ -1023,6 +2989,582 @@ Keep the tone casual and natural.`;
         }
     }
 
+    /**
+     * Show template errors (unknown variables, unclosed {#if}...) under the prompt
+     * @returns {boolean} - Whether the prompt is valid
+     */
+    validatePresetPrompt() {
+        const errorElement = this.elements.presetPromptError;
+        const prompt = this.elements.presetPrompt?.value.trim() || '';
+        const validation = prompt ? new TemplateEngine().validateTemplate(prompt) : { valid: true };
+        
+        if (errorElement) {
+            errorElement.textContent = validation.valid ? '' : validation.error;
+            errorElement.style.display = validation.valid ? 'none' : 'block';
+        }
+        return validation.valid;
+    }
+
+    setPresetTranslation(translation) {
+        if (this.elements.presetTranslationSource) {
+            this.elements.presetTranslationSource.value = translation?.source || '';
+        }
+        if (this.elements.presetTranslationTarget) {
+            this.elements.presetTranslationTarget.value = translation?.target || '';
+        }
+    }
+
+    /**
+     * @returns {object|null} - {source, target}, or null when the preset doesn't translate
+     */
+    getPresetTranslation() {
+        const target = this.elements.presetTranslationTarget?.value || '';
+        return target ? { source: this.elements.presetTranslationSource?.value || '', target } : null;
+    }
+
+    setPresetVariants(variants) {
+        if (this.elements.presetVariantCount) {
+            this.elements.presetVariantCount.value = String(variants?.count || 1);
+        }
+        if (this.elements.presetVariantStyles) {
+            this.elements.presetVariantStyles.value = (variants?.styles || []).join(', ');
+        }
+    }
+
+    /**
+     * @returns {object|null} - {count, styles}, or null for a single result
+     */
+    getPresetVariants() {
+        return this.normalizePresetVariants({
+            count: this.elements.presetVariantCount?.value,
+            styles: (this.elements.presetVariantStyles?.value || '').split(',')
+        });
+    }
+
+    normalizePresetVariants(variants) {
+        const count = Math.min(parseInt(variants?.count, 10) || 1, MAX_VARIANTS);
+        if (count < 2) return null;
+        const styles = (Array.isArray(variants.styles) ? variants.styles : [])
+            .filter(style => typeof style === 'string' && style.trim())
+            .map(style => style.trim())
+            .slice(0, count);
+        return { count, styles };
+    }
+
+    /**
+     * Output schemas from a bundle are only kept if they would pass the editor's checks
+     */
+    normalizeImportedOutput(output) {
+        const normalized = this.normalizePresetOutput(output);
+        return normalized && new StructuredOutput().validateDefinition(normalized).valid ? normalized : null;
+    }
+
+    setPresetOutput(output) {
+        const normalized = this.normalizePresetOutput(output);
+        if (this.elements.presetOutputFormat) {
+            this.elements.presetOutputFormat.value = normalized?.format || '';
+        }
+        if (this.elements.presetOutputTemplate) {
+            this.elements.presetOutputTemplate.value = normalized?.template || '';
+        }
+        this.editingOutputFields = (normalized?.fields || []).map(field => ({ ...field }));
+        this.renderPresetOutputFields();
+        this.validatePresetOutput();
+    }
+
+    /**
+     * @returns {object|null} - {fields, format, template}, or null for a text preset
+     */
+    getPresetOutput() {
+        if (!this.elements.presetOutputFormat?.value) return null;
+        return this.normalizePresetOutput({
+            fields: this.editingOutputFields,
+            format: this.elements.presetOutputFormat.value,
+            template: this.elements.presetOutputTemplate?.value || ''
+        });
+    }
+
+    normalizePresetOutput(output) {
+        if (!output || !Array.isArray(output.fields)) return null;
+        const fields = output.fields
+            .filter(field => typeof field?.name === 'string' && field.name.trim())
+            .map(field => ({
+                name: field.name.trim(),
+                type: field.type in OUTPUT_FIELD_TYPES ? field.type : 'text',
+                description: typeof field.description === 'string' ? field.description.trim() : '',
+                required: field.required === true
+            }));
+        if (fields.length === 0) return null;
+        
+        const format = output.format === 'json' ? 'json' : 'template';
+        return {
+            fields,
+            format,
+            template: format === 'template' && typeof output.template === 'string' ? output.template.trim() : ''
+        };
+    }
+
+    renderPresetOutputFields() {
+        const list = this.elements.presetOutputFieldsList;
+        if (!list) return;
+        
+        list.innerHTML = `
+            <div class="voice-command-row preset-output-row header">
+                <span>Field</span>
+                <span>Type</span>
+                <span>What to put in it</span>
+                <span></span>
+                <span></span>
+            </div>
+        `;
+        
+        this.editingOutputFields.forEach((field, index) => {
+            const row = document.createElement('div');
+            row.className = 'voice-command-row preset-output-row';
+            row.dataset.index = index;
+            row.innerHTML = `
+                <input type="text" class="form-input" data-field="name" autocomplete="off" placeholder="e.g. title">
+                <select class="form-input" data-field="type">
+                    ${Object.entries(OUTPUT_FIELD_TYPES).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                </select>
+                <input type="text" class="form-input" data-field="description" autocomplete="off" placeholder="e.g. One-line summary of the bug">
+                <label class="preset-output-required">
+                    <input type="checkbox" data-field="required">
+                    Required
+                </label>
+                <button class="btn-ghost btn-small delete-preset-output-field" title="Remove field">
+                    <span class="material-icons">delete</span>
+                </button>
+            `;
+            row.querySelector('[data-field="name"]').value = field.name;
+            row.querySelector('[data-field="type"]').value = field.type;
+            row.querySelector('[data-field="description"]').value = field.description;
+            row.querySelector('[data-field="required"]').checked = field.required;
+            list.appendChild(row);
+        });
+        
+        if (this.elements.addPresetOutputFieldBtn) {
+            this.elements.addPresetOutputFieldBtn.disabled = this.editingOutputFields.length >= MAX_OUTPUT_FIELDS;
+        }
+    }
+
+    addPresetOutputField() {
+        if (this.editingOutputFields.length >= MAX_OUTPUT_FIELDS) return;
+        
+        this.editingOutputFields.push({ name: '', type: 'text', description: '', required: false });
+        this.renderPresetOutputFields();
+        
+        const inputs = this.elements.presetOutputFieldsList.querySelectorAll('[data-field="name"]');
+        inputs[inputs.length - 1]?.focus();
+    }
+
+    deletePresetOutputField(index) {
+        this.editingOutputFields.splice(index, 1);
+        this.renderPresetOutputFields();
+        this.validatePresetOutput();
+    }
+
+    /**
+     * @returns {boolean} - Whether the output fields and template can be saved
+     */
+    validatePresetOutput() {
+        let error = '';
+        if (this.elements.presetOutputFormat?.value) {
+            const output = this.getPresetOutput();
+            error = output
+                ? new StructuredOutput().validateDefinition(output).error || ''
+                : 'Add at least one field with a name.';
+        }
+        
+        if (this.elements.presetOutputError) {
+            this.elements.presetOutputError.textContent = error;
+            this.elements.presetOutputError.style.display = error ? 'block' : 'none';
+        }
+        return !error;
+    }
+
+    /**
+     * Switch the editor between a single prompt and a pipeline of steps
+     */
+    setPresetType(type) {
+        const radio = document.querySelector(`input[name="presetType"][value="${type}"]`);
+        if (radio) radio.checked = true;
+        this.updatePresetTypeFields();
+    }
+
+    isEditingPipeline() {
+        return document.querySelector('input[name="presetType"]:checked')?.value === 'pipeline';
+    }
+
+    updatePresetTypeFields() {
+        const isPipeline = this.isEditingPipeline();
+        if (this.elements.presetPipelineField) {
+            this.elements.presetPipelineField.style.display = isPipeline ? 'block' : 'none';
+        }
+        if (this.elements.presetPromptField) {
+            this.elements.presetPromptField.style.display = isPipeline ? 'none' : 'block';
+        }
+        // Structured output is a single JSON reply, so it can't have variants
+        const isStructured = !isPipeline && !!this.elements.presetOutputFormat?.value;
+        if (this.elements.presetVariantsField) {
+            this.elements.presetVariantsField.style.display = isPipeline || isStructured ? 'none' : 'block';
+        }
+        if (this.elements.presetOutputField) {
+            this.elements.presetOutputField.style.display = isPipeline ? 'none' : 'block';
+        }
+        if (this.elements.presetOutputSchema) {
+            this.elements.presetOutputSchema.style.display = isStructured ? 'block' : 'none';
+        }
+        if (this.elements.presetOutputTemplateGroup) {
+            this.elements.presetOutputTemplateGroup.style.display = this.elements.presetOutputFormat?.value === 'template' ? 'block' : 'none';
+        }
+        if (this.elements.presetSamplesField) {
+            this.elements.presetSamplesField.style.display = isPipeline ? 'none' : 'block';
+        }
+        if (isPipeline) {
+            this.renderPipelineSteps();
+        }
+    }
+
+    renderPipelineSteps() {
+        const list = this.elements.presetPipelineSteps;
+        if (!list) return;
+        
+        // Pipelines can't contain other pipelines (or themselves)
+        const presets = Object.values(this.presetsCache || {})
+            .filter(preset => preset.id !== this.currentEditingPreset && !isPipelinePreset(preset))
+            .sort(comparePresets);
+        
+        list.innerHTML = '';
+        this.editingPipeline.forEach((step, index) => {
+            const row = document.createElement('div');
+            row.className = 'voice-command-row pipeline-step-row';
+            row.dataset.index = index;
+            row.innerHTML = `
+                <span class="pipeline-step-number">${index + 1}</span>
+                <select class="form-input" data-field="step">
+                    <optgroup label="Built-in steps"></optgroup>
+                    <optgroup label="Presets"></optgroup>
+                </select>
+                <button class="btn-ghost btn-small move-pipeline-step" data-direction="-1" title="Move up" ${index === 0 ? 'disabled' : ''}>
+                    <span class="material-icons">arrow_upward</span>
+                </button>
+                <button class="btn-ghost btn-small move-pipeline-step" data-direction="1" title="Move down" ${index === this.editingPipeline.length - 1 ? 'disabled' : ''}>
+                    <span class="material-icons">arrow_downward</span>
+                </button>
+                <button class="btn-ghost btn-small delete-pipeline-step" title="Remove step">
+                    <span class="material-icons">delete</span>
+                </button>
+            `;
+            
+            const [localGroup, presetGroup] = row.querySelectorAll('optgroup');
+            Object.entries(PIPELINE_LOCAL_STEPS).forEach(([action, label]) => {
+                localGroup.appendChild(new Option(label, `local:${action}`));
+            });
+            presets.forEach(preset => presetGroup.appendChild(new Option(preset.name, `preset:${preset.id}`)));
+            if (step.type === 'preset' && !presets.some(preset => preset.id === step.presetId)) {
+                presetGroup.appendChild(new Option(this.presetsCache?.[step.presetId]?.name || 'Deleted preset', `preset:${step.presetId}`));
+            }
+            
+            row.querySelector('[data-field="step"]').value = this.getPipelineStepValue(step);
+            list.appendChild(row);
+        });
+        
+        if (this.editingPipeline.length === 0) {
+            list.innerHTML = '<div class="form-description">No steps yet</div>';
+        }
+        this.validatePipeline();
+    }
+
+    getPipelineStepValue(step) {
+        return step.type === 'local' ? `local:${step.action}` : `preset:${step.presetId}`;
+    }
+
+    updatePipelineStep(select) {
+        const row = select.closest('.pipeline-step-row');
+        if (!row || select.dataset.field !== 'step') return;
+        
+        const separator = select.value.indexOf(':');
+        const type = select.value.substring(0, separator);
+        const value = select.value.substring(separator + 1);
+        this.editingPipeline[Number(row.dataset.index)] = type === 'local'
+            ? { type: 'local', action: value }
+            : { type: 'preset', presetId: value };
+        this.validatePipeline();
+    }
+
+    addPipelineStep() {
+        this.editingPipeline.push({ type: 'local', action: 'cleanTranscription' });
+        this.renderPipelineSteps();
+        
+        const selects = this.elements.presetPipelineSteps.querySelectorAll('[data-field="step"]');
+        selects[selects.length - 1]?.focus();
+    }
+
+    movePipelineStep(index, direction) {
+        const target = index + direction;
+        if (target < 0 || target >= this.editingPipeline.length) return;
+        
+        [this.editingPipeline[index], this.editingPipeline[target]] = [this.editingPipeline[target], this.editingPipeline[index]];
+        this.renderPipelineSteps();
+    }
+
+    deletePipelineStep(index) {
+        this.editingPipeline.splice(index, 1);
+        this.renderPipelineSteps();
+    }
+
+    /**
+     * @returns {boolean} - Whether the pipeline can be saved
+     */
+    validatePipeline() {
+        let error = '';
+        if (this.editingPipeline.length === 0) {
+            error = 'Add at least one step.';
+        } else if (this.editingPipeline.some(step => step.type === 'preset' && !this.presetsCache?.[step.presetId])) {
+            error = 'A step uses a preset that was deleted.';
+        } else if (this.editingPipeline.some(step => step.type === 'preset' &&
+            (step.presetId === this.currentEditingPreset || isPipelinePreset(this.presetsCache[step.presetId])))) {
+            error = 'A pipeline cannot include another pipeline.';
+        }
+        
+        if (this.elements.presetPipelineError) {
+            this.elements.presetPipelineError.textContent = error;
+            this.elements.presetPipelineError.style.display = error ? 'block' : 'none';
+        }
+        return !error;
+    }
+
+    renderPresetSamples() {
+        const list = this.elements.presetSamplesList;
+        if (!list) return;
+        
+        list.innerHTML = '';
+        this.editingSamples.forEach((sample, index) => {
+            const row = document.createElement('div');
+            row.className = 'voice-command-row preset-sample-row';
+            row.dataset.index = index;
+            row.innerHTML = `
+                <textarea class="form-input" rows="2" placeholder="Paste or type a transcript, as dictated"></textarea>
+                <button class="btn-ghost btn-small delete-preset-sample" title="Remove sample">
+                    <span class="material-icons">delete</span>
+                </button>
+            `;
+            row.querySelector('textarea').value = sample.transcript;
+            list.appendChild(row);
+        });
+        
+        if (this.editingSamples.length === 0) {
+            list.innerHTML = '<div class="form-description">No samples yet</div>';
+        }
+        if (this.elements.addPresetSampleBtn) {
+            this.elements.addPresetSampleBtn.disabled = this.editingSamples.length >= PRESET_BENCH.MAX_SAMPLES;
+        }
+    }
+
+    addPresetSample() {
+        if (this.editingSamples.length >= PRESET_BENCH.MAX_SAMPLES) return;
+        
+        this.editingSamples.push({ id: this.createSampleId(), transcript: '', accepted: null, acceptedAt: null });
+        this.renderPresetSamples();
+        
+        const inputs = this.elements.presetSamplesList.querySelectorAll('textarea');
+        inputs[inputs.length - 1]?.focus();
+    }
+
+    deletePresetSample(index) {
+        this.editingSamples.splice(index, 1);
+        this.renderPresetSamples();
+    }
+
+    createSampleId() {
+        return `sample-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`;
+    }
+
+    /**
+     * Drop empty samples and keep each accepted output only while its transcript
+     * is unchanged. Saved samples are the source of truth for accepted outputs,
+     * since the bench may accept one while the editor is open.
+     * @param {Array} previous - The preset's saved samples
+     */
+    normalizePresetSamples(samples, previous = []) {
+        return samples
+            .filter(sample => typeof sample?.transcript === 'string' && sample.transcript.trim())
+            .slice(0, PRESET_BENCH.MAX_SAMPLES)
+            .map(sample => {
+                const transcript = sample.transcript.trim();
+                const saved = (previous || []).find(item => item.id === sample.id);
+                const source = saved ? (saved.transcript === transcript ? saved : null) : sample;
+                const accepted = typeof source?.accepted === 'string' && source.accepted ? source.accepted : null;
+                return {
+                    id: sample.id || this.createSampleId(),
+                    transcript,
+                    accepted,
+                    acceptedAt: accepted ? source.acceptedAt || null : null
+                };
+            });
+    }
+
+    /**
+     * What a preset version is made of; changing any of these changes the output
+     */
+    getPresetVersionFields(preset) {
+        return {
+            prompt: preset.prompt || '',
+            pipeline: (preset.pipeline || []).map(step => ({ ...step })),
+            model: preset.model || '',
+            translation: preset.translation || null,
+            variants: preset.variants || null,
+            output: preset.output || null
+        };
+    }
+
+    /**
+     * Start a new version when the prompt (or anything else in a version) changed.
+     * Presets saved before version history get their previous state as the first entry.
+     * @param {object} previous - The preset as saved
+     * @param {object} updated - The preset about to be saved
+     * @returns {object} - The updated preset with version and versions set
+     */
+    withPresetVersion(previous, updated, note = '') {
+        const before = this.getPresetVersionFields(previous);
+        const after = this.getPresetVersionFields(updated);
+        if (JSON.stringify(before) === JSON.stringify(after)) {
+            return updated;
+        }
+        
+        const currentVersion = previous.version || 1;
+        const versions = previous.versions?.length ? [...previous.versions] : [{
+            version: currentVersion,
+            savedAt: previous.createdAt || null,
+            note: '',
+            ...before
+        }];
+        versions.push({ version: currentVersion + 1, savedAt: new Date().toISOString(), note, ...after });
+        
+        return { ...updated, version: currentVersion + 1, versions: versions.slice(-MAX_PRESET_VERSIONS) };
+    }
+
+    /**
+     * List a preset's versions, newest first, each with its changes from the one before
+     * @param {object|null} preset - Null for a new preset
+     */
+    renderPresetVersions(preset) {
+        this.editingVersions = preset?.versions || [];
+        if (this.elements.presetVersionNote) {
+            this.elements.presetVersionNote.value = '';
+        }
+        if (!this.elements.presetVersionsField || !this.elements.presetVersionsList) return;
+        
+        this.elements.presetVersionsField.style.display = preset ? 'block' : 'none';
+        if (!preset) return;
+        
+        const currentVersion = preset.version || 1;
+        if (this.editingVersions.length === 0) {
+            this.elements.presetVersionsList.innerHTML = `<div class="form-description">Version ${currentVersion}. Earlier versions appear here once the prompt changes.</div>`;
+            return;
+        }
+        
+        this.elements.presetVersionsList.innerHTML = this.editingVersions.map((entry, index) => {
+            const previous = this.editingVersions[index - 1];
+            const savedAt = entry.savedAt
+                ? new Date(entry.savedAt).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+                : 'Before version history';
+            const isCurrent = entry.version === currentVersion;
+            
+            return `
+                <div class="preset-version-row" data-version="${entry.version}">
+                    <div class="preset-version-header">
+                        <span class="preset-version-label">v${entry.version}${isCurrent ? ' (current)' : ''}</span>
+                        <span class="preset-version-meta">${this.escapeHtml(savedAt)}${entry.note ? ` • ${this.escapeHtml(entry.note)}` : ''}</span>
+                        ${previous ? `
+                        <button class="btn-ghost btn-small show-version-diff" title="Show changes from v${previous.version}">
+                            <span class="material-icons">compare_arrows</span>
+                        </button>` : ''}
+                        ${isCurrent ? '' : `
+                        <button class="btn-ghost btn-small restore-preset-version" title="Load this version into the editor">
+                            <span class="material-icons">restore</span>
+                        </button>`}
+                    </div>
+                    ${previous ? `<div class="preset-version-diff">${this.getPresetVersionDiffHTML(previous, entry)}</div>` : ''}
+                </div>
+            `;
+        }).reverse().join('');
+    }
+
+    /**
+     * Word diff of the prompt (or pipeline) plus a line for each other setting that changed
+     */
+    getPresetVersionDiffHTML(before, after) {
+        const describe = version => isPipelinePreset(version)
+            ? `Pipeline: ${this.getPipelineSummary(version)}`
+            : version.prompt || '';
+        const text = diffWords(describe(before), describe(after)).map(op => {
+            const escaped = this.escapeHtml(op.text);
+            if (op.type === 'delete') return `<del>${escaped}</del>`;
+            if (op.type === 'insert') return `<ins>${escaped}</ins>`;
+            return escaped;
+        }).join('');
+        
+        const settings = [];
+        if ((before.model || '') !== (after.model || '')) {
+            settings.push(`Model: ${before.model || 'default'} → ${after.model || 'default'}`);
+        }
+        if (JSON.stringify(before.translation || null) !== JSON.stringify(after.translation || null)) {
+            settings.push(`Translation: ${LANGUAGES[before.translation?.target] || 'off'} → ${LANGUAGES[after.translation?.target] || 'off'}`);
+        }
+        if ((before.variants?.count || 1) !== (after.variants?.count || 1)) {
+            settings.push(`Variants: ${before.variants?.count || 1} → ${after.variants?.count || 1}`);
+        }
+        if (JSON.stringify(before.output || null) !== JSON.stringify(after.output || null)) {
+            const describeOutput = output => output
+                ? `${OUTPUT_FORMATS[output.format]} (${output.fields.map(field => field.name).join(', ')})`
+                : 'text';
+            settings.push(`Output: ${describeOutput(before.output)} → ${describeOutput(after.output)}`);
+        }
+        
+        return `<div class="test-result-content">${text}</div>` +
+            settings.map(line => `<div class="form-description">${this.escapeHtml(line)}</div>`).join('');
+    }
+
+    /**
+     * Load an earlier version into the editor. Saving then makes it the newest version,
+     * so the versions in between stay in the history.
+     */
+    restorePresetVersion(versionNumber) {
+        const entry = this.editingVersions.find(version => version.version === versionNumber);
+        if (!entry) return;
+        
+        if (this.elements.presetPrompt) {
+            this.elements.presetPrompt.value = entry.prompt || '';
+        }
+        if (this.elements.presetModel) {
+            this.elements.presetModel.value = entry.model || '';
+        }
+        this.setPresetTranslation(entry.translation);
+        this.setPresetVariants(entry.variants);
+        this.setPresetOutput(entry.output);
+        this.editingPipeline = (entry.pipeline || []).map(step => ({ ...step }));
+        this.setPresetType(isPipelinePreset(entry) ? 'pipeline' : 'prompt');
+        if (this.elements.presetVersionNote) {
+            this.elements.presetVersionNote.value = `Restored v${entry.version}`;
+        }
+        
+        this.updateCharacterCounter();
+        this.validatePresetPrompt();
+        this.showSuccessMessage(`Loaded v${entry.version}. Save to restore it.`);
+    }
+
+    /**
+     * "Basic Cleanup → Translate → Email" for preset cards and the test panel
+     */
+    getPipelineSummary(preset) {
+        return (preset.pipeline || []).map(step => step.type === 'local'
+            ? PIPELINE_LOCAL_STEPS[step.action] || step.action
+            : this.presetsCache?.[step.presetId]?.name || 'Deleted preset'
+        ).join(' → ');
+    }
+
     toggleModalPreset() {
         if (!this.elements.presetEnabledToggle) return;
         
@@ -1033,11 +3575,30 @@ Keep the tone casual and natural.`;
         this.elements.presetEnabledToggle.classList.toggle('active', newState);
     }
 
+    toggleModalVoiceCommands() {
+        if (!this.elements.presetVoiceCommandsToggle) return;
+        
+        const isEnabled = this.elements.presetVoiceCommandsToggle.getAttribute('aria-checked') === 'true';
+        const newState = !isEnabled;
+        
+        this.elements.presetVoiceCommandsToggle.setAttribute('aria-checked', newState);
+        this.elements.presetVoiceCommandsToggle.classList.toggle('active', newState);
+    }
+
     async savePresetChanges() {
         try {
             const presetName = this.elements.presetName?.value.trim();
             const prompt = this.elements.presetPrompt?.value.trim();
             const isEnabled = this.elements.presetEnabledToggle?.getAttribute('aria-checked') === 'true';
+            const voiceCommands = this.elements.presetVoiceCommandsToggle?.getAttribute('aria-checked') !== 'false';
+            const model = this.elements.presetModel?.value.trim() || '';
+            const category = this.elements.presetCategory?.value.trim() || '';
+            const icon = this.elements.presetIcon?.value || 'auto_fix_high';
+            const pipeline = this.isEditingPipeline() ? this.editingPipeline.map(step => ({ ...step })) : [];
+            const translation = this.getPresetTranslation();
+            const output = this.isEditingPipeline() ? null : this.getPresetOutput();
+            const variants = this.isEditingPipeline() || output ? null : this.getPresetVariants();
+            const versionNote = this.elements.presetVersionNote?.value.trim() || '';
             
             // Validate inputs
             if (!presetName) {
@@ -1046,32 +3607,38 @@ Keep the tone casual and natural.`;
                 return;
             }
             
-            if (!prompt) {
-                alert('Enhancement prompt is required.');
-                if (this.elements.presetPrompt) this.elements.presetPrompt.focus();
-                return;
-            }
-            
-            if (prompt.length > 2000) {
-                alert('Prompt must be 2000 characters or less.');
-                if (this.elements.presetPrompt) this.elements.presetPrompt.focus();
-                return;
+            if (this.isEditingPipeline()) {
+                if (!this.validatePipeline()) return;
+            } else {
+                if (!prompt) {
+                    alert('Enhancement prompt is required.');
+                    if (this.elements.presetPrompt) this.elements.presetPrompt.focus();
+                    return;
+                }
+                
+                if (prompt.length > 2000) {
+                    alert('Prompt must be 2000 characters or less.');
+                    if (this.elements.presetPrompt) this.elements.presetPrompt.focus();
+                    return;
+                }
+                
+                if (!this.validatePresetPrompt()) {
+                    if (this.elements.presetPrompt) this.elements.presetPrompt.focus();
+                    return;
+                }
+                
+                if (!this.validatePresetOutput()) {
+                    return;
+                }
             }
             
             // Get current presets from storage
-            const { presets = {} } = await chrome.storage.sync.get(['presets']);
+            const presets = await this.getPresets();
             
             if (this.currentEditingPreset === null) {
                 // Creating new preset
                 console.log('💾 Creating new preset:', presetName);
                 
-                // Check custom preset limit (max 2 custom presets)
-                const customPresets = Object.values(presets).filter(preset => !preset.isSystem);
-                if (customPresets.length >= 2) {
-                    alert('Maximum of 2 custom presets allowed. Delete an existing custom preset first.');
-                    return;
-                }
-                
                 // Check for duplicate names
                 const duplicateName = Object.values(presets).find(preset => 
                     preset.name.toLowerCase() === presetName.toLowerCase()
@@ -1083,15 +3650,26 @@ Keep the tone casual and natural.`;
                 }
                 
                 // Generate unique ID for new preset
-                const presetId = `custom-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`;
+                const presetId = this.createPresetId();
                 
                 // Create new preset
                 presets[presetId] = {
                     id: presetId,
                     name: presetName,
                     prompt: prompt,
+                    pipeline: pipeline,
+                    translation: translation,
+                    variants: variants,
+                    output: output,
+                    samples: this.isEditingPipeline() ? [] : this.normalizePresetSamples(this.editingSamples),
+                    version: 1,
                     isSystem: false,
                     enabled: isEnabled,
+                    voiceCommands: voiceCommands,
+                    model: model,
+                    category: category,
+                    icon: icon,
+                    order: this.getNextPresetOrder(presets),
                     usageCount: 0,
                     createdAt: new Date().toISOString(),
                     lastUsed: null
@@ -1111,11 +3689,19 @@ Keep the tone casual and natural.`;
                 
                 // For system presets, only allow prompt and enabled changes
                 if (existingPreset.isSystem) {
-                    presets[this.currentEditingPreset] = {
+                    presets[this.currentEditingPreset] = this.withPresetVersion(existingPreset, {
                         ...existingPreset,
                         prompt: prompt,
-                        enabled: isEnabled
-                    };
+                        translation: translation,
+                        variants: variants,
+                        output: output,
+                        samples: this.normalizePresetSamples(this.editingSamples, existingPreset.samples),
+                        enabled: isEnabled,
+                        voiceCommands: voiceCommands,
+                        model: model,
+                        category: category,
+                        icon: icon
+                    }, versionNote);
                 } else {
                     // For custom presets, allow name changes too (but check for duplicates)
                     if (presetName !== existingPreset.name) {
@@ -1130,19 +3716,28 @@ Keep the tone casual and natural.`;
                         }
                     }
                     
-                    presets[this.currentEditingPreset] = {
+                    presets[this.currentEditingPreset] = this.withPresetVersion(existingPreset, {
                         ...existingPreset,
                         name: presetName,
                         prompt: prompt,
-                        enabled: isEnabled
-                    };
+                        pipeline: pipeline,
+                        translation: translation,
+                        variants: variants,
+                        output: output,
+                        samples: this.isEditingPipeline() ? [] : this.normalizePresetSamples(this.editingSamples, existingPreset.samples),
+                        enabled: isEnabled,
+                        voiceCommands: voiceCommands,
+                        model: model,
+                        category: category,
+                        icon: icon
+                    }, versionNote);
                 }
                 
                 this.showSuccessMessage(`Preset "${presetName}" updated successfully!`);
             }
             
             // Save presets back to storage
-            await chrome.storage.sync.set({ presets });
+            await this.savePresets(presets);
             
             console.log('✅ Preset changes saved successfully');
             this.closePresetEditor();
@@ -0,0 +1,195 @@
+// Yappr Structured Output
+// Presets with an output schema ask the model for a JSON object instead of prose,
+// check the reply against the schema, then fill a field template with it or
+// insert it as JSON. Replies that don't match throw, so the enhancement falls
+// back to the original text.
+// Loaded after template-engine.js, before content.js and on the settings page (preset editor, bench).
+
+const OUTPUT_FIELD_TYPES = {
+    text: 'Text',
+    list: 'List',
+    number: 'Number',
+    boolean: 'Yes / no'
+};
+
+const OUTPUT_FORMATS = {
+    template: 'Fill a template',
+    json: 'Insert as JSON'
+};
+
+const OUTPUT_FIELD_NAME_PATTERN = /^[a-z_]\w*$/i;
+const MAX_OUTPUT_FIELDS = 20;
+
+/**
+ * Structured presets set preset.output = {fields: [{name, type, description, required}],
+ * format: 'template'|'json', template}. Pipelines can't declare a schema themselves,
+ * but their steps can.
+ */
+function isStructuredPreset(preset) {
+    return Array.isArray(preset?.output?.fields) && preset.output.fields.length > 0;
+}
+
+class StructuredOutput {
+    constructor() {
+        this.templateEngine = new TemplateEngine();
+    }
+
+    /**
+     * Appended to the rendered preset prompt
+     */
+    buildInstructions(output) {
+        const typeHints = {
+            text: 'string',
+            list: 'array of strings',
+            number: 'number',
+            boolean: 'true or false'
+        };
+        const lines = output.fields.map(field => {
+            const empty = field.required ? '' : ' (null if the transcript doesn\'t mention it)';
+            const description = field.description ? ` - ${field.description}` : '';
+            return `- "${field.name}": ${typeHints[field.type] || typeHints.text}${empty}${description}`;
+        });
+        return `\n\nReply with one JSON object with exactly these keys, and nothing else:\n${lines.join('\n')}\nOnly use information from the transcript.`;
+    }
+
+    /**
+     * Read and check the model reply
+     * @returns {object} - The fields in schema order; optional fields that are missing are null
+     * @throws {Error} When the reply is not a JSON object or a field doesn't match its type
+     */
+    parse(reply, output) {
+        const start = reply.indexOf('{');
+        const end = reply.lastIndexOf('}');
+        if (start === -1 || end <= start) {
+            throw new Error('response was not JSON');
+        }
+
+        let data;
+        try {
+            data = JSON.parse(reply.substring(start, end + 1));
+        } catch (error) {
+            throw new Error('response was not valid JSON');
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('response was not a JSON object');
+        }
+
+        const result = {};
+        for (const field of output.fields) {
+            const value = this.readField(data[field.name], field);
+            if (value === null && field.required) {
+                throw new Error(`response is missing "${field.name}"`);
+            }
+            result[field.name] = value;
+        }
+        return result;
+    }
+
+    /**
+     * @returns {*} - The value in the field's type, or null when empty
+     * @throws {Error} When the value can't be read as the field's type
+     */
+    readField(value, field) {
+        if (value === undefined || value === null) return null;
+
+        switch (field.type) {
+            case 'list': {
+                const items = Array.isArray(value) ? value : [value];
+                if (items.some(item => typeof item === 'object' && item !== null)) {
+                    throw new Error(`"${field.name}" should be a list of text`);
+                }
+                const list = items.filter(item => item !== null && String(item).trim()).map(item => String(item).trim());
+                return list.length > 0 ? list : null;
+            }
+            case 'number': {
+                const number = typeof value === 'number' ? value : parseFloat(value);
+                if (!Number.isFinite(number)) {
+                    throw new Error(`"${field.name}" should be a number`);
+                }
+                return number;
+            }
+            case 'boolean':
+                if (typeof value === 'boolean') return value;
+                if (value === 'true' || value === 'false') return value === 'true';
+                throw new Error(`"${field.name}" should be true or false`);
+            default:
+                if (typeof value === 'object') {
+                    throw new Error(`"${field.name}" should be text`);
+                }
+                return String(value).trim() || null;
+        }
+    }
+
+    /**
+     * Turn the checked fields into the text to insert
+     * @param {object} context - Template variables of the page, e.g. {date} and {domain}
+     */
+    format(data, output, context = {}) {
+        if (output.format === 'json') {
+            return JSON.stringify(data, null, 2);
+        }
+
+        const variables = { ...context };
+        output.fields.forEach(field => {
+            const value = data[field.name];
+            if (value === null || value === undefined) {
+                variables[field.name] = '';
+            } else if (field.type === 'list') {
+                variables[field.name] = value.map(item => `- ${item}`).join('\n');
+            } else if (field.type === 'boolean') {
+                variables[field.name] = value ? 'Yes' : 'No';
+            } else {
+                variables[field.name] = String(value);
+            }
+        });
+
+        const rendered = this.templateEngine.render(output.template || this.getDefaultTemplate(output.fields), variables);
+        if (!rendered.success) {
+            throw new Error(`output template error: ${rendered.error}`);
+        }
+        // Optional fields left out of the default template leave blank lines behind
+        return rendered.result.replace(/\n{3,}/g, '\n\n').trim();
+    }
+
+    /**
+     * "Title: {title}" for each field, lists below their label; empty optional fields are left out
+     */
+    getDefaultTemplate(fields) {
+        return fields.map(field => {
+            const label = field.name.replace(/_/g, ' ').replace(/^\w/, letter => letter.toUpperCase());
+            const line = field.type === 'list' ? `${label}:\n{${field.name}}` : `${label}: {${field.name}}`;
+            return field.required ? line : `{#if ${field.name}}${line}{/if}`;
+        }).join('\n\n');
+    }
+
+    /**
+     * Check a schema and template before the preset is saved
+     * @returns {object} - {valid: boolean, error?: string}
+     */
+    validateDefinition(output) {
+        const names = new Set();
+        if (output.fields.length > MAX_OUTPUT_FIELDS) {
+            return { valid: false, error: `Use at most ${MAX_OUTPUT_FIELDS} fields` };
+        }
+        for (const field of output.fields) {
+            if (!OUTPUT_FIELD_NAME_PATTERN.test(field.name)) {
+                return { valid: false, error: `"${field.name}" is not a valid field name. Use letters, numbers and underscores.` };
+            }
+            if (field.name in TEMPLATE_VARIABLES) {
+                return { valid: false, error: `"${field.name}" is a built-in variable. Pick another field name.` };
+            }
+            if (names.has(field.name.toLowerCase())) {
+                return { valid: false, error: `Field "${field.name}" is listed twice` };
+            }
+            names.add(field.name.toLowerCase());
+        }
+
+        if (output.format === 'template' && output.template) {
+            const validation = this.templateEngine.validateTemplate(output.template, output.fields.map(field => field.name));
+            if (!validation.valid) {
+                return { valid: false, error: `Output template: ${validation.error}` };
+            }
+        }
+        return { valid: true };
+    }
+}
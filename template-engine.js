@@ -0,0 +1,283 @@
+// Yappr Template Engine
+// Renders preset prompts: {variable|filter} placeholders, {#if}/{else}/{/if}
+// blocks and {?prompted} variables the user fills in before enhancing.
+// Loaded before content.js and on the settings page (preset editor validation).
+
+// Built-in variables, filled in by the content script for every enhancement
+const TEMPLATE_VARIABLES = {
+    transcript: 'The dictated text',
+    raw_transcript: 'Same as {transcript}, kept for older presets',
+    page_title: 'Title of the page',
+    url: 'Full page URL',
+    domain: 'Host name of the page, e.g. mail.google.com',
+    selection: 'Text selected when recording started',
+    field_text: 'Text already in the field',
+    date: "Today's date",
+    time: 'Current time',
+    user_name: 'Your name from settings',
+    folder: 'Folder matched by an activation phrase'
+};
+
+const TEMPLATE_FILTERS = {
+    upper: value => value.toUpperCase(),
+    lower: value => value.toLowerCase(),
+    title: value => value.toLowerCase().replace(/(^|\s)(\p{L})/gu, (match, space, letter) => space + letter.toUpperCase()),
+    trim: value => value.trim(),
+    oneline: value => value.replace(/\s+/g, ' ').trim(),
+    truncate: (value, limit) => {
+        const max = parseInt(limit, 10);
+        return max > 0 && value.length > max ? value.substring(0, max).trimEnd() + '…' : value;
+    },
+    default: (value, fallback = '') => value.trim() ? value : fallback
+};
+
+class TemplateEngine {
+    constructor() {
+        // {#if name}, {#if !name}, {else}, {/if}, {name}, {?name} and {name|filter|filter:arg}.
+        // Anything else in braces (e.g. JSON in a prompt) is left as literal text.
+        this.tagPattern = /\{\s*(?:#if\s+(!?)\s*([a-z_]\w*)|(else)|(\/if)|(\?)?([a-z_]\w*)((?:\s*\|\s*[a-z_]+(?::[^|}]*)?)*))\s*\}/gi;
+    }
+
+    /**
+     * Render template with provided variables
+     * @param {string} template - Template string with {variable} placeholders
+     * @param {object} variables - Object with variable values
+     * @returns {object} - {success: boolean, result: string, missingVars: array}
+     */
+    render(template, variables) {
+        if (!template) {
+            return { success: false, result: '', missingVars: [], error: 'No template provided' };
+        }
+
+        const parsed = this.parse(template);
+        if (parsed.errors.length > 0) {
+            return { success: false, result: '', missingVars: [], error: parsed.errors[0] };
+        }
+
+        // Check for missing variables
+        const missingVars = this.findMissingVariables(this.extractTemplateVariables(template), variables);
+        if (missingVars.length > 0) {
+            return {
+                success: false,
+                result: '',
+                missingVars: missingVars,
+                error: `Missing required variables: ${missingVars.join(', ')}`
+            };
+        }
+
+        return { success: true, result: this.renderNodes(parsed.nodes, variables), missingVars: [] };
+    }
+
+    /**
+     * Split a template into text, variable and {#if} nodes
+     * @returns {object} - {nodes, tags, errors}
+     */
+    parse(template) {
+        const root = { then: [] };
+        const stack = [{ node: root, branch: 'then' }];
+        const tags = [];
+        const errors = [];
+        const current = () => stack[stack.length - 1];
+        const append = node => {
+            const frame = current();
+            frame.node[frame.branch].push(node);
+        };
+
+        let lastIndex = 0;
+        let match;
+        this.tagPattern.lastIndex = 0;
+
+        while ((match = this.tagPattern.exec(template)) !== null) {
+            const [tag, negate, conditionName, isElse, isEndIf, prompted, name, filterText] = match;
+            if (match.index > lastIndex) {
+                append({ type: 'text', value: template.substring(lastIndex, match.index) });
+            }
+            lastIndex = match.index + tag.length;
+
+            if (conditionName) {
+                const node = { type: 'if', name: conditionName, negate: negate === '!', then: [], else: [] };
+                tags.push({ type: 'if', name: conditionName });
+                append(node);
+                stack.push({ node, branch: 'then' });
+            } else if (isElse) {
+                if (stack.length === 1 || current().branch === 'else') {
+                    errors.push('{else} without a matching {#if}');
+                } else {
+                    current().branch = 'else';
+                }
+            } else if (isEndIf) {
+                if (stack.length === 1) {
+                    errors.push('{/if} without a matching {#if}');
+                } else {
+                    stack.pop();
+                }
+            } else {
+                const filters = this.parseFilters(filterText);
+                tags.push({ type: 'variable', name, prompted: !!prompted, filters });
+                append({ type: 'variable', name, filters });
+            }
+        }
+
+        if (lastIndex < template.length) {
+            append({ type: 'text', value: template.substring(lastIndex) });
+        }
+        if (stack.length > 1) {
+            errors.push(`{#if ${stack[stack.length - 1].node.name}} is never closed with {/if}`);
+        }
+
+        return { nodes: root.then, tags, errors };
+    }
+
+    parseFilters(filterText) {
+        if (!filterText) return [];
+        return filterText.split('|')
+            .map(part => part.trim())
+            .filter(Boolean)
+            .map(part => {
+                const separator = part.indexOf(':');
+                return separator === -1
+                    ? { name: part.toLowerCase(), arg: undefined }
+                    : { name: part.substring(0, separator).toLowerCase(), arg: part.substring(separator + 1) };
+            });
+    }
+
+    renderNodes(nodes, variables) {
+        return nodes.map(node => {
+            if (node.type === 'text') {
+                return node.value;
+            }
+            if (node.type === 'if') {
+                const isSet = String(variables[node.name] ?? '').trim() !== '';
+                return this.renderNodes(isSet !== node.negate ? node.then : node.else, variables);
+            }
+            return node.filters.reduce((value, filter) => {
+                const apply = TEMPLATE_FILTERS[filter.name];
+                return apply ? apply(value, filter.arg) : value;
+            }, String(variables[node.name] ?? ''));
+        }).join('');
+    }
+
+    /**
+     * Extract all variable names from template
+     */
+    extractTemplateVariables(template) {
+        const names = this.parse(template).tags
+            .filter(tag => tag.type === 'variable')
+            .map(tag => tag.name);
+        return [...new Set(names)]; // Remove duplicates
+    }
+
+    /**
+     * Variables written as {?name}, which the user is asked for before enhancing
+     */
+    extractPromptedVariables(template) {
+        const names = this.parse(template || '').tags
+            .filter(tag => tag.type === 'variable' && tag.prompted)
+            .map(tag => tag.name);
+        return [...new Set(names)];
+    }
+
+    /**
+     * Find missing variables. Built-in context variables may be empty (no
+     * selection, no folder...) and are never reported.
+     */
+    findMissingVariables(templateVars, providedVars) {
+        return templateVars.filter(varName => {
+            if (varName in TEMPLATE_VARIABLES) return false;
+            const value = providedVars[varName];
+            return value === undefined || value === null;
+        });
+    }
+
+    /**
+     * Validate template syntax, filters and variable names
+     * @param {string[]} [extraVariables] - Names that are also defined, e.g. the fields of a structured preset
+     * @returns {object} - {valid: boolean, error?: string, unknownVariables: array}
+     */
+    validateTemplate(template, extraVariables = []) {
+        if (!template || typeof template !== 'string') {
+            return { valid: false, error: 'Template must be a non-empty string', unknownVariables: [] };
+        }
+
+        // Check for empty variables
+        if (template.includes('{}')) {
+            return { valid: false, error: 'Empty variable placeholder found', unknownVariables: [] };
+        }
+
+        const parsed = this.parse(template);
+        if (parsed.errors.length > 0) {
+            return { valid: false, error: parsed.errors[0], unknownVariables: [] };
+        }
+
+        const unknownFilters = parsed.tags
+            .flatMap(tag => tag.filters || [])
+            .filter(filter => !(filter.name in TEMPLATE_FILTERS))
+            .map(filter => filter.name);
+        if (unknownFilters.length > 0) {
+            return { valid: false, error: `Unknown filter: |${unknownFilters[0]}`, unknownVariables: [] };
+        }
+
+        // {?name} also defines {name} for the rest of the template
+        const defined = new Set([...this.extractPromptedVariables(template), ...extraVariables]);
+        const unknownVariables = [...new Set(parsed.tags
+            .map(tag => tag.name)
+            .filter(name => !(name in TEMPLATE_VARIABLES) && !defined.has(name)))];
+
+        if (unknownVariables.length > 0) {
+            return {
+                valid: false,
+                error: `Unknown variable${unknownVariables.length > 1 ? 's' : ''}: ${unknownVariables.map(name => `{${name}}`).join(', ')}. Use {?name} to ask for a value when enhancing.`,
+                unknownVariables
+            };
+        }
+
+        return { valid: true, unknownVariables: [] };
+    }
+
+    /**
+     * Get safe fallback when variables are missing
+     */
+    getSafeFallback(originalText, reason = 'missing variables') {
+        return {
+            success: true,
+            result: originalText,
+            isOriginal: true,
+            fallbackReason: reason
+        };
+    }
+
+    /**
+     * Test template rendering (for development)
+     */
+    static testTemplateEngine() {
+        console.log('🧪 Testing TemplateEngine...');
+
+        const engine = new TemplateEngine();
+
+        // Test case 1: Context variables, filters and conditionals
+        const template1 = 'Reply on {domain|upper}{#if selection} to "{selection|oneline}"{/if}: {transcript}';
+        const vars1 = {
+            transcript: 'Hello world this is a test',
+            domain: 'twitter.com',
+            selection: ''
+        };
+
+        console.log('\n🔍 Test 1 - Context variables:');
+        console.log('Result:', engine.render(template1, vars1));
+
+        // Test case 2: Prompted variable not answered yet
+        const template2 = 'Email {?recipient|title} about: {transcript}';
+
+        console.log('\n🔍 Test 2 - Missing prompted variable:');
+        console.log('Prompted:', engine.extractPromptedVariables(template2));
+        console.log('Result:', engine.render(template2, { transcript: 'lunch on friday' }));
+
+        // Test case 3: Invalid template
+        const template3 = 'Invalid template with {#if selection} and {missing_var}';
+
+        console.log('\n🔍 Test 3 - Invalid template:');
+        console.log('Validation:', engine.validateTemplate(template3));
+
+        console.log('🧪 TemplateEngine test complete');
+    }
+}
@@ -0,0 +1,120 @@
+// Yappr Text Diff
+// Word-level diff used to review an enhancement before it is inserted and to
+// compare preset versions in the settings page.
+// Loaded before content.js and on the settings page.
+
+const DIFF_CONFIG = {
+    MAX_CELLS: 4000000         // Word pairs compared; longer texts show as one change
+};
+
+/**
+ * Word-level diff between two texts, comparing words and ignoring the whitespace
+ * after them. Unchanged words keep the spacing of the new text, except right before
+ * a change: that spacing goes into the change, so rejecting it restores the old spacing.
+ * @returns {Array<{type: 'equal'|'delete'|'insert', text: string}>}
+ */
+function diffWords(before, after) {
+    const tokenize = text => text.match(/\s*\S+\s*/g) || [];
+    const trailingSpace = token => token.match(/\s*$/)[0];
+    const a = tokenize(before);
+    const b = tokenize(after);
+    
+    if (a.length * b.length > DIFF_CONFIG.MAX_CELLS) {
+        return [{ type: 'delete', text: before }, { type: 'insert', text: after }].filter(op => op.text);
+    }
+    
+    // Longest common subsequence table, filled from the end
+    const width = b.length + 1;
+    const lengths = new Uint32Array((a.length + 1) * width);
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i * width + j] = a[i].trim() === b[j].trim()
+                ? lengths[(i + 1) * width + j + 1] + 1
+                : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+        }
+    }
+    
+    const ops = [];
+    const push = (type, text) => {
+        const last = ops[ops.length - 1];
+        if (last && last.type === type) {
+            last.text += text;
+        } else {
+            ops.push({ type, text });
+        }
+    };
+    
+    // Last unchanged word in both texts, while no change has followed it yet
+    let equalBefore = null;
+    let equalAfter = null;
+    const pushChange = (type, token) => {
+        if (equalAfter === null) {
+            push(type, token);
+            return;
+        }
+        
+        const spaceBefore = trailingSpace(equalBefore);
+        const spaceAfter = trailingSpace(equalAfter);
+        const last = ops[ops.length - 1];
+        last.text = last.text.slice(0, last.text.length - spaceAfter.length);
+        if (type === 'delete') {
+            push('delete', spaceBefore + token);
+            if (spaceAfter) push('insert', spaceAfter);
+        } else {
+            if (spaceBefore) push('delete', spaceBefore);
+            push('insert', spaceAfter + token);
+        }
+        equalBefore = null;
+        equalAfter = null;
+    };
+    
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i].trim() === b[j].trim()) {
+            push('equal', b[j]);
+            equalBefore = a[i++];
+            equalAfter = b[j++];
+        } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+            pushChange('delete', a[i++]);
+        } else {
+            pushChange('insert', b[j++]);
+        }
+    }
+    while (i < a.length) pushChange('delete', a[i++]);
+    while (j < b.length) pushChange('insert', b[j++]);
+    
+    return ops;
+}
+
+/**
+ * Group a word diff into unchanged text and hunks the user can accept or reject
+ * @returns {Array<{type: 'equal', text}|{type: 'change', removed, added, accepted}>}
+ */
+function buildDiffHunks(ops) {
+    const hunks = [];
+    ops.forEach(op => {
+        if (op.type === 'equal') {
+            hunks.push({ type: 'equal', text: op.text });
+            return;
+        }
+        
+        let hunk = hunks[hunks.length - 1];
+        if (!hunk || hunk.type !== 'change') {
+            hunk = { type: 'change', removed: '', added: '', accepted: true };
+            hunks.push(hunk);
+        }
+        hunk[op.type === 'delete' ? 'removed' : 'added'] += op.text;
+    });
+    return hunks;
+}
+
+/**
+ * Text with accepted hunks taken from the new version and rejected ones kept as before
+ */
+function applyDiffHunks(hunks) {
+    return hunks.map(hunk => {
+        if (hunk.type === 'equal') return hunk.text;
+        return hunk.accepted ? hunk.added : hunk.removed;
+    }).join('').trim();
+}
@@ -0,0 +1,319 @@
+// Yappr Usage Ledger
+// Records the tokens of every AI call and the audio seconds of every
+// speech-to-text call, estimates their cost from the user's price table and
+// enforces the daily/monthly budget caps before a call is made.
+// Loaded before llm-client.js in the content script and on the extension pages,
+// and by the background worker, which writes every entry.
+
+const USAGE_CONFIG = {
+    STORAGE_KEYS: {
+        LOG: 'usageLog',          // local: one entry per call
+        PRICES: 'usagePrices',    // sync: price table edited in settings
+        BUDGETS: 'usageBudgets'   // sync: {daily, monthly, mode}
+    },
+    // Tabs and pages send their entries to the background worker
+    MESSAGES: {
+        RECORD: 'recordUsage',
+        UPDATE: 'updateUsage'
+    },
+    MAX_ENTRIES: 5000,
+    MAX_AGE_DAYS: 400,
+    WARN_RATIO: 0.8 // Warn once this share of a budget is spent
+};
+
+// Estimated prices in USD, editable in settings. Models are priced per million
+// input/output tokens and matched by the longest model name prefix; speech-to-text
+// is priced per audio minute. Custom servers cost nothing unless a model matches.
+const DEFAULT_USAGE_PRICES = {
+    models: [
+        { model: 'gpt-4o-mini', input: 0.15, output: 0.6 },
+        { model: 'gpt-4o', input: 2.5, output: 10 },
+        { model: 'gpt-4.1-mini', input: 0.4, output: 1.6 },
+        { model: 'gpt-4.1', input: 2, output: 8 },
+        { model: 'claude-3-5-haiku', input: 0.8, output: 4 },
+        { model: 'claude-3-5-sonnet', input: 3, output: 15 }
+    ],
+    stt: {
+        elevenlabs: 0.0067,
+        openai: 0.006,
+        deepgram: 0.0043,
+        local: 0
+    }
+};
+
+const USAGE_PROVIDER_LABELS = {
+    llm: { openai: 'OpenAI', anthropic: 'Anthropic', openaiCompatible: 'Custom server' },
+    stt: { elevenlabs: 'ElevenLabs', openai: 'OpenAI Whisper', deepgram: 'Deepgram', local: 'Self-hosted Whisper' }
+};
+
+const USAGE_PURPOSES = {
+    transcription: 'Transcription',
+    enhancement: 'Enhancement',
+    translation: 'Translation',
+    cleanup: 'Cleanup',
+    analysis: 'Deep analysis',
+    coach: 'Speech coach',
+    bench: 'Preset bench',
+    other: 'Other'
+};
+
+/**
+ * Shared scripts log only when the script that loads them turns on DEBUG
+ * (content.js, background.js); the extension pages don't define it
+ */
+function isDebugLogging() {
+    return typeof DEBUG !== 'undefined' && DEBUG;
+}
+
+class UsageBudgetError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageBudgetError';
+    }
+}
+
+class UsageLedger {
+    /**
+     * Background worker only: writes run one at a time. The log is read and written
+     * as a whole, so tabs writing it themselves would overwrite each other's entries.
+     */
+    static pending = Promise.resolve();
+
+    /**
+     * Called with a message when spending nears or passes a budget in warn mode.
+     * Each warning is shown once per day or month.
+     */
+    static onWarning = null;
+    static warned = new Set();
+
+    async getPrices() {
+        const result = await chrome.storage.sync.get([USAGE_CONFIG.STORAGE_KEYS.PRICES]);
+        const prices = result[USAGE_CONFIG.STORAGE_KEYS.PRICES] || {};
+        return {
+            models: Array.isArray(prices.models) ? prices.models : DEFAULT_USAGE_PRICES.models,
+            stt: { ...DEFAULT_USAGE_PRICES.stt, ...(prices.stt || {}) }
+        };
+    }
+
+    /**
+     * @returns {Promise<{daily: number, monthly: number, mode: 'warn'|'block'}>} - 0 means no cap
+     */
+    async getBudgets() {
+        const result = await chrome.storage.sync.get([USAGE_CONFIG.STORAGE_KEYS.BUDGETS]);
+        const budgets = result[USAGE_CONFIG.STORAGE_KEYS.BUDGETS] || {};
+        return {
+            daily: Math.max(parseFloat(budgets.daily) || 0, 0),
+            monthly: Math.max(parseFloat(budgets.monthly) || 0, 0),
+            mode: budgets.mode === 'block' ? 'block' : 'warn'
+        };
+    }
+
+    async getEntries() {
+        const result = await chrome.storage.local.get([USAGE_CONFIG.STORAGE_KEYS.LOG]);
+        return result[USAGE_CONFIG.STORAGE_KEYS.LOG] || [];
+    }
+
+    /**
+     * Estimated cost in USD, or null when the model has no price
+     */
+    estimateCost(entry, prices) {
+        if (entry.kind === 'stt') {
+            const perMinute = prices.stt[entry.provider];
+            return typeof perMinute === 'number' ? (entry.audioSeconds || 0) / 60 * perMinute : null;
+        }
+
+        const model = (entry.model || '').toLowerCase();
+        const match = prices.models
+            .filter(price => price.model && model.startsWith(price.model.toLowerCase()))
+            .sort((a, b) => b.model.length - a.model.length)[0];
+        if (!match) {
+            return entry.provider === 'openaiCompatible' ? 0 : null;
+        }
+        return ((entry.inputTokens || 0) * (match.input || 0) + (entry.outputTokens || 0) * (match.output || 0)) / 1000000;
+    }
+
+    /**
+     * Log one call. Never throws: accounting must not break the call it describes.
+     * @param {object} entry - {kind: 'llm'|'stt', provider, model, purpose, presetId, presetName,
+     *   folderId, folderName, inputTokens, outputTokens, audioSeconds}
+     * @returns {Promise<string|null>} - Entry id, for adding the folder once it is known
+     */
+    record(entry) {
+        const full = {
+            id: `usage-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`,
+            timestamp: new Date().toISOString(),
+            purpose: 'other',
+            presetId: null,
+            presetName: null,
+            folderId: null,
+            folderName: null,
+            inputTokens: 0,
+            outputTokens: 0,
+            audioSeconds: 0,
+            ...entry
+        };
+
+        return this.sendToBackground({ type: USAGE_CONFIG.MESSAGES.RECORD, entry: full })
+            .then(() => full.id)
+            .catch(error => {
+                if (isDebugLogging()) console.error('❌ Could not record usage:', error);
+                return null;
+            });
+    }
+
+    /**
+     * Add details to an entry after the call, e.g. the folder a dictation ended up in
+     * @param {string|Promise<string|null>} id - As returned by record()
+     */
+    update(id, changes) {
+        if (!id) return Promise.resolve();
+        return Promise.resolve(id)
+            .then(entryId => entryId && this.sendToBackground({ type: USAGE_CONFIG.MESSAGES.UPDATE, id: entryId, changes }))
+            .catch(error => {
+                if (isDebugLogging()) console.error('❌ Could not update usage:', error);
+            });
+    }
+
+    async sendToBackground(message) {
+        const response = await chrome.runtime.sendMessage(message);
+        if (!response?.success) {
+            throw new Error(response?.error || 'The background worker did not answer');
+        }
+    }
+
+    /**
+     * Background worker only: price and append an entry sent by record()
+     */
+    addEntry(entry) {
+        return UsageLedger.queueWrite(async () => {
+            const full = { ...entry, cost: this.estimateCost(entry, await this.getPrices()) };
+            const cutoff = Date.now() - USAGE_CONFIG.MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+            const entries = (await this.getEntries())
+                .filter(item => new Date(item.timestamp).getTime() >= cutoff)
+                .concat(full)
+                .slice(-USAGE_CONFIG.MAX_ENTRIES);
+            await chrome.storage.local.set({ [USAGE_CONFIG.STORAGE_KEYS.LOG]: entries });
+        });
+    }
+
+    /**
+     * Background worker only: apply update() changes
+     */
+    updateEntry(id, changes) {
+        return UsageLedger.queueWrite(async () => {
+            const entries = await this.getEntries();
+            const entry = entries.find(item => item.id === id);
+            if (!entry) return;
+            Object.assign(entry, changes);
+            await chrome.storage.local.set({ [USAGE_CONFIG.STORAGE_KEYS.LOG]: entries });
+        });
+    }
+
+    static queueWrite(write) {
+        const result = UsageLedger.pending.then(write);
+        // A failed write doesn't hold up the ones queued after it
+        UsageLedger.pending = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Spending so far today and this calendar month (local time)
+     */
+    getSpend(entries, now = new Date()) {
+        const dayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+        const monthStart = new Date(now.getFullYear(), now.getMonth(), 1).getTime();
+        return entries.reduce((spend, entry) => {
+            const time = new Date(entry.timestamp).getTime();
+            if (time >= monthStart) spend.month += entry.cost || 0;
+            if (time >= dayStart) spend.today += entry.cost || 0;
+            return spend;
+        }, { today: 0, month: 0 });
+    }
+
+    /**
+     * Run before every paid call. Throws UsageBudgetError when a cap is reached in
+     * block mode; otherwise warns (once per period) as spending nears or passes a cap.
+     */
+    async checkBudget() {
+        let budgets;
+        let spend;
+        try {
+            budgets = await this.getBudgets();
+            if (!budgets.daily && !budgets.monthly) return;
+            spend = this.getSpend(await this.getEntries());
+        } catch (error) {
+            if (isDebugLogging()) console.error('❌ Could not check the AI budget:', error);
+            return;
+        }
+
+        const now = new Date();
+        const periods = [
+            { name: 'Daily', cap: budgets.daily, spent: spend.today, key: now.toDateString() },
+            { name: 'Monthly', cap: budgets.monthly, spent: spend.month, key: `${now.getFullYear()}-${now.getMonth()}` }
+        ].filter(period => period.cap > 0);
+
+        for (const period of periods) {
+            if (period.spent >= period.cap) {
+                const message = `${period.name} AI budget of ${this.formatCost(period.cap)} reached (${this.formatCost(period.spent)} spent)`;
+                if (budgets.mode === 'block') {
+                    throw new UsageBudgetError(message);
+                }
+                this.warnOnce(`${period.name}:${period.key}:over`, message);
+            } else if (period.spent >= period.cap * USAGE_CONFIG.WARN_RATIO) {
+                this.warnOnce(
+                    `${period.name}:${period.key}:near`,
+                    `${Math.round(period.spent / period.cap * 100)}% of the ${period.name.toLowerCase()} AI budget used (${this.formatCost(period.spent)} of ${this.formatCost(period.cap)})`
+                );
+            }
+        }
+    }
+
+    warnOnce(key, message) {
+        if (UsageLedger.warned.has(key)) return;
+        UsageLedger.warned.add(key);
+        if (isDebugLogging()) console.warn(`💸 ${message}`);
+        if (UsageLedger.onWarning) {
+            UsageLedger.onWarning(message);
+        }
+    }
+
+    /**
+     * Totals for the analytics page
+     * @returns {object} - {total, byProvider, byPreset, byFolder, byPurpose}; each group maps a
+     *   label to {calls, inputTokens, outputTokens, audioSeconds, cost, unpriced}
+     */
+    summarize(entries) {
+        const empty = () => ({ calls: 0, inputTokens: 0, outputTokens: 0, audioSeconds: 0, cost: 0, unpriced: 0 });
+        const add = (group, key, entry) => {
+            const totals = group[key] || (group[key] = empty());
+            totals.calls++;
+            totals.inputTokens += entry.inputTokens || 0;
+            totals.outputTokens += entry.outputTokens || 0;
+            totals.audioSeconds += entry.audioSeconds || 0;
+            if (typeof entry.cost === 'number') {
+                totals.cost += entry.cost;
+            } else {
+                totals.unpriced++;
+            }
+        };
+
+        const summary = { total: empty(), byProvider: {}, byPreset: {}, byFolder: {}, byPurpose: {} };
+        entries.forEach(entry => {
+            add(summary, 'total', entry);
+            add(summary.byProvider, this.getProviderLabel(entry), entry);
+            add(summary.byPreset, entry.presetName || 'No preset', entry);
+            add(summary.byFolder, entry.folderName || 'No folder', entry);
+            add(summary.byPurpose, USAGE_PURPOSES[entry.purpose] || USAGE_PURPOSES.other, entry);
+        });
+        return summary;
+    }
+
+    getProviderLabel(entry) {
+        const label = USAGE_PROVIDER_LABELS[entry.kind]?.[entry.provider] || entry.provider;
+        return entry.kind === 'llm' && entry.model ? `${label} (${entry.model})` : label;
+    }
+
+    formatCost(cost) {
+        return cost < 0.01 && cost > 0 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+    }
+}
@@ -0,0 +1,118 @@
+// Yappr Word Timings
+// History items keep one list of timed words ({text, start, end, speaker?}) and
+// a speaker name map; speaker turns and SRT/WebVTT subtitles are built from the
+// words when shown or exported, so the text isn't stored twice.
+// Loaded before history.js and folder-detail.js.
+
+/**
+ * Consecutive words from the same speaker form one turn
+ * @returns {Array<{speaker, start, end, text}>}
+ */
+function getSpeakerTurns(diarization) {
+    const turns = [];
+    (diarization?.words || []).forEach(word => {
+        const current = turns[turns.length - 1];
+        if (current && current.speaker === word.speaker) {
+            current.text += ` ${word.text}`;
+            current.end = word.end;
+        } else {
+            turns.push({ speaker: word.speaker, start: word.start, end: word.end, text: word.text });
+        }
+    });
+    return turns;
+}
+
+// ===============================================
+// SUBTITLES
+// ===============================================
+const SUBTITLE_CONFIG = {
+    FORMATS: ['srt', 'vtt'],
+    // "By length" grouping: roughly two 42-character lines on screen
+    MAX_CUE_SECONDS: 6,
+    MAX_CUE_CHARS: 84,
+    // Sentence grouping still splits run-on sentences
+    SENTENCE_MAX_CUE_SECONDS: 12,
+    SENTENCE_MAX_CUE_CHARS: 168
+};
+
+function hasWordTimings(item) {
+    return !!(item.diarization && item.diarization.words && item.diarization.words.length > 0);
+}
+
+/**
+ * Group word timings into subtitle cues, either one per sentence or by
+ * max duration/characters. A speaker change always starts a new cue.
+ * Cues are labelled with speaker names when there is more than one speaker.
+ */
+function buildSubtitleCues(diarization, grouping = 'sentence') {
+    const bySentence = grouping === 'sentence';
+    const maxSeconds = bySentence ? SUBTITLE_CONFIG.SENTENCE_MAX_CUE_SECONDS : SUBTITLE_CONFIG.MAX_CUE_SECONDS;
+    const maxChars = bySentence ? SUBTITLE_CONFIG.SENTENCE_MAX_CUE_CHARS : SUBTITLE_CONFIG.MAX_CUE_CHARS;
+    const speakers = diarization.speakers || {};
+    const labelSpeakers = Object.keys(speakers).length > 1;
+    
+    const cues = [];
+    let cue = null;
+    
+    diarization.words.forEach(word => {
+        if (cue) {
+            const text = `${cue.text} ${word.text}`;
+            const fits = word.speaker === cue.speaker &&
+                word.end - cue.start <= maxSeconds &&
+                text.length <= maxChars;
+            
+            if (fits) {
+                cue.text = text;
+                cue.end = word.end;
+            } else {
+                cues.push(cue);
+                cue = null;
+            }
+        }
+        
+        if (!cue) {
+            cue = { start: word.start, end: word.end, text: word.text, speaker: word.speaker };
+        }
+        
+        if (bySentence && /[.!?]["')\]]?$/.test(word.text)) {
+            cues.push(cue);
+            cue = null;
+        }
+    });
+    
+    if (cue) cues.push(cue);
+    
+    return cues.map(c => ({
+        ...c,
+        speakerName: labelSpeakers ? (speakers[c.speaker] || 'Unknown speaker') : null
+    }));
+}
+
+// 00:01:02,345 for SRT, 00:01:02.345 for WebVTT
+function formatSubtitleTime(seconds, separator) {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+    const pad = (value, length = 2) => value.toString().padStart(length, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+}
+
+function buildSrt(cues) {
+    return cues.map((cue, index) => {
+        const timing = `${formatSubtitleTime(cue.start, ',')} --> ${formatSubtitleTime(cue.end, ',')}`;
+        const text = cue.speakerName ? `${cue.speakerName}: ${cue.text}` : cue.text;
+        return `${index + 1}\n${timing}\n${text}`;
+    }).join('\n\n') + '\n';
+}
+
+function buildVtt(cues) {
+    const escapeCueText = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const body = cues.map(cue => {
+        const timing = `${formatSubtitleTime(cue.start, '.')} --> ${formatSubtitleTime(cue.end, '.')}`;
+        const voice = cue.speakerName ? `<v ${escapeCueText(cue.speakerName)}>` : '';
+        return `${timing}\n${voice}${escapeCueText(cue.text)}`;
+    }).join('\n\n');
+    return `WEBVTT\n\n${body}\n`;
+}